@@ -17,9 +17,12 @@ const {
   AGENT_HEALTH_LOSS_PER_MINUTE,
   AGENT_SANITY_LOSS_PER_MINUTE,
   COOLDOWN_MINUTES_AFTER_END,
-  threatTemplates,
   createThreatInstance,
 } = require(path.join(__dirname, "worldThreatConfig"));
+const { loadTemplateDir } = require(path.join(__dirname, "worldThreatTemplates"));
+
+// Templates now live in ./threats; invalid files are skipped here
+const { templates: threatTemplates } = loadTemplateDir(path.join(__dirname, "threats"));
 
 const app = express();
 app.use(express.json());
@@ -2,144 +2,334 @@
 // World Threat backend with:
 // - Difficulty scaling (diff 10 = baseline; lower diffs are easier: faster progress + gentler drain)
 // - Per-agent worldThreatModifiers (power/health/sanity multipliers)
-// - Single active threat + 30 min cooldown after clear/expire
-// - Archives with reward eligibility
+// - Stat modifier pipeline: flat/percent, timed or tick-limited, agent and threat-scoped
+//   (per-agent power breakdown in the threat payload)
+// - Skill weaknesses/resistances per theme/template + team skill-coverage bonus
+// - Optional participant-scaled durability per template (bounded, with hysteresis)
+// - Objective types: progress (default), hold-out, escort and race (outcome archived per threat)
+// - Zone corruption map (/world-map): expiries raise it and spill over, clears lower it;
+//   it pulls spawns toward the zone and toughens threats there
+// - Concurrent threats: at most one per zone (up to CONCURRENCY.maxActiveThreats from the
+//   rotation), per-zone cooldown after clear/expire; routes are keyed by instanceId
+// - Archives with reward eligibility + idempotent claim ledger (contribution-based tiers)
 // - Contribution tracking (power-seconds) + heatmap endpoints
-// - Admin endpoints: /world-threats/admin/finish and /world-threats/admin/cycle
-// - Back-compat routes: /world-threats/:instanceId/assign|unassign
+// - Spawn director: weighted no-repeat rotation, difficulty curve, admin schedule (/world-threats/schedule)
+// - Templates loaded from ./threats (JSON/YAML), schema-validated, hot-reloadable by admins
+// - Multi-phase threats (progress thresholds switch stats, skills, difficulty and drain)
+// - Seeded random incidents from per-template tables, logged per threat
+// - Casualty records for downed agents (archived with the threat, acknowledged per player)
+// - Seasons: per-player aggregates and leaderboards across threats (/seasons), player history
+// - Admin endpoints: finish, cycle, pause/resume, expiry, progress, kick/ban, spawn a
+//   template and zone/rotation cooldowns under /world-threats/admin
+//   (API-key or HMAC auth with operator/readonly roles, audited at /world-threats/admin/audit;
+//   refused attempts per IP at /world-threats/admin/audit/refused)
+// - Instance-less assign/unassign/support routes fall back to the only active threat
+// - Support actions: heal/calm (charges), rest and swap agents, with cooldowns
+//   (re-assigning keeps agents' live health/sanity)
+// - Agent rules: one appearance per threat, one threat per agent, lockout after going
+//   down, structured 409s
+// - Player tokens (HS256 JWT) binding assign/unassign/support/claim/ack to one
+//   playerId + directorName (401 without a valid token, 403 for someone else's)
+// - Snapshot integrity: HMAC-signed agent snapshots, configurable stat/skill/modifier
+//   bounds, anti-cheat log of refused or clamped agents (/world-threats/admin/anticheat)
+// - What-if preview (POST /world-threats/preview): power, survival time, contribution
+//   share and ETA change of a candidate bundle, without touching state
+// - Survival forecasts per assigned agent (time to 0 health/sanity, warning window) and
+//   whether the roster lasts until the ETA
 // - Full input sanitization + NaN guards
+// - Fixed-step simulation (SIMULATION.stepSeconds) with a bounded catch-up per tick, so
+//   stalls and downtime play out like normal ticks; tick events only carry agents that changed
+// - Durable state (memory or append-only journal) restored on boot with downtime catch-up
+// - Live push: SSE at /world-threats/stream and WebSocket at /world-threats/ws (resumable by event id)
 
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
 
 const {
-  WORLD_THREAT_BASE_PROGRESS_RATE,
-  AGENT_HEALTH_LOSS_PER_MINUTE,
-  AGENT_SANITY_LOSS_PER_MINUTE,
-  COOLDOWN_MINUTES_AFTER_END,
-  threatTemplates,
+  REWARD_TIERS,
+  SPAWN_DIRECTOR,
+  CONCURRENCY,
+  ADMIN_CONSOLE,
+  SURVIVAL_FORECAST,
+  ZONE_CORRUPTION,
+  SUPPORT,
+  AGENT_RULES,
+  SNAPSHOT_RULES,
+  PLAYER_TOKENS,
   createThreatInstance,
 } = require(path.join(__dirname, "worldThreatConfig"));
+const { createStorage } = require(path.join(__dirname, "worldThreatStorage"));
+const { createThreatStream } = require(path.join(__dirname, "worldThreatStream"));
+const { parseCredentials, createAdminAuth } = require(path.join(__dirname, "worldThreatAdminAuth"));
+const { createRewardLedger } = require(path.join(__dirname, "worldThreatRewards"));
+const { ZONES, THEMES, SKILLS, createTemplateRegistry } = require(path.join(__dirname, "worldThreatTemplates"));
+const { createSpawnDirector } = require(path.join(__dirname, "worldThreatSpawnDirector"));
+const { createSeasonTracker } = require(path.join(__dirname, "worldThreatSeasons"));
+const { summarizeObjective } = require(path.join(__dirname, "worldThreatObjectives"));
+const { createZoneMap } = require(path.join(__dirname, "worldThreatZoneMap"));
+const { createSupportActions } = require(path.join(__dirname, "worldThreatSupport"));
+const { createLockoutRegistry, checkAgents } = require(path.join(__dirname, "worldThreatAgentRules"));
+const { parseTokenSecrets, createPlayerAuth } = require(path.join(__dirname, "worldThreatPlayerAuth"));
+const { parseSnapshotSecrets, createSnapshotGuard } = require(path.join(__dirname, "worldThreatSnapshotGuard"));
+const { createAdminConsole } = require(path.join(__dirname, "worldThreatAdminConsole"));
+const {
+  toNum,
+  sanitizeAgentSnapshot,
+  getPhaseIndex,
+  publicPhase,
+  prepareInstance,
+  createEngine,
+} = require(path.join(__dirname, "worldThreatEngine"));
 
 const app = express();
-app.use(express.json());
+// Keep the raw body around: HMAC-signed admin requests are verified against it
+app.use(
+  express.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  })
+);
 app.use(cors());
 
 const PORT = process.env.PORT || 3001;
 
-// Defaults if not provided by config
-const WT_BASE_RATE = Number(WORLD_THREAT_BASE_PROGRESS_RATE ?? 0.001); // % per sec per power
-const HP_LOSS_PER_MIN = Number(AGENT_HEALTH_LOSS_PER_MINUTE ?? 1);     // hp/min
-const SAN_LOSS_PER_MIN = Number(AGENT_SANITY_LOSS_PER_MINUTE ?? 2);    // san/min
-const COOLDOWN_MIN = Number(COOLDOWN_MINUTES_AFTER_END ?? 30);
+// Power/drain/progress rules (shared with simulate.js)
+const engine = createEngine();
+
+// Persistence: WORLD_THREAT_STORAGE=memory|journal, WORLD_THREAT_JOURNAL_FILE=<path>
+const storage = createStorage({
+  driver: process.env.WORLD_THREAT_STORAGE || "memory",
+  file: process.env.WORLD_THREAT_JOURNAL_FILE,
+});
+const PERSIST_INTERVAL_MS = 5000; // routine saves are throttled to this
+const PERSIST_SOON_MS = 1000;      // lifecycle/admin changes are flushed within this
+const RNG_SEED = process.env.WORLD_THREAT_RNG_SEED || ""; // set to make incident rolls reproducible
+
+// Templates: refuse to boot on invalid files, so typos surface at deploy time
+const templateRegistry = createTemplateRegistry(
+  process.env.WORLD_THREAT_TEMPLATES_DIR || path.join(__dirname, "threats")
+);
+const initialTemplates = templateRegistry.reload();
+if (!initialTemplates.ok) {
+  throw new Error(`Invalid threat templates in ${templateRegistry.dir}:\n  - ${initialTemplates.errors.join("\n  - ")}`);
+}
+
+const adminAuth = createAdminAuth({
+  apiKeys: parseCredentials(process.env.WORLD_THREAT_ADMIN_KEYS),
+  hmacSecrets: parseCredentials(process.env.WORLD_THREAT_ADMIN_HMAC_SECRETS),
+});
+if (!adminAuth.configured) {
+  console.warn("No admin credentials configured: /world-threats/admin/* routes are disabled");
+}
+
+const playerAuth = createPlayerAuth({
+  secrets: parseTokenSecrets(process.env.WORLD_THREAT_PLAYER_TOKEN_SECRETS),
+  config: PLAYER_TOKENS,
+  disabled: process.env.WORLD_THREAT_PLAYER_TOKENS === "off",
+});
+if (playerAuth.disabled) {
+  console.warn("WORLD_THREAT_PLAYER_TOKENS=off: player routes trust the playerId in the request");
+} else if (!playerAuth.configured) {
+  console.warn("No player token secrets configured: player routes are refused until some are set");
+}
 
 // In-memory state
-let activeThreat = null;               // current active threat
+const activeThreats = new Map();       // instanceId -> active threat (at most one per zone)
 let finishedThreats = [];              // archive (cleared/expired)
 let lastTickMs = Date.now();
-let cooldownUntilMs = 0;               // timestamp when next spawn allowed
-
-// ----------------- Helpers & Sanitizers -----------------
-function rngPick(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+let zoneCooldowns = {};                // zone -> timestamp when the rotation may use it again
+let nextRotationSpawnMs = 0;           // rotation spawns are CONCURRENCY.rotationGapMinutes apart
+let lastPersistMs = 0;
+let persistDirty = false;
+let persistTimer = null;
+const tickSent = new Map();            // instanceId -> agentId -> what the last tick event said about it
+const rewardLedger = createRewardLedger(REWARD_TIERS);
+const zoneMap = createZoneMap({ config: ZONE_CORRUPTION, zones: ZONES });
+const spawnDirector = createSpawnDirector({
+  config: SPAWN_DIRECTOR,
+  rngSeed: RNG_SEED,
+  zoneWeight: (zone, nowMs) => zoneMap.effects(zone, nowMs).spawnWeightMultiplier,
+});
+const seasons = createSeasonTracker();
+const support = createSupportActions(SUPPORT);
+const adminConsole = createAdminConsole(ADMIN_CONSOLE, support);
+const lockouts = createLockoutRegistry(AGENT_RULES);
+const snapshotGuard = createSnapshotGuard({
+  rules: SNAPSHOT_RULES,
+  secrets: parseSnapshotSecrets(process.env.WORLD_THREAT_SNAPSHOT_SECRETS),
+  knownSkills: SKILLS,
+  signingDisabled: process.env.WORLD_THREAT_SNAPSHOT_SIGNING === "off",
+});
+if (snapshotGuard.signingDisabled) {
+  console.warn("WORLD_THREAT_SNAPSHOT_SIGNING=off: agent snapshots are accepted unsigned (bounds still apply)");
+} else if (!snapshotGuard.signingEnabled) {
+  console.warn("No snapshot secrets configured: assign and swap are refused until some are set");
 }
 
-function toNum(x, fallback = 0) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : fallback;
-}
+// Live event stream; reconnecting clients that can't be replayed get this snapshot
+const stream = createThreatStream({
+  getSnapshot: () => ({
+    activeThreats: activeList().map(decorateThreat),
+    zoneCooldowns: describeZoneCooldowns(Date.now()),
+  }),
+});
 
-function sanitizeSkills(skills) {
-  if (!Array.isArray(skills)) return [];
-  return skills.map((s) => (typeof s === "string" ? s : String(s))).filter(Boolean);
+// ----------------- Helpers -----------------
+function round2(n) {
+  return Math.round(n * 100) / 100;
 }
 
-function sanitizeAgentSnapshot(a) {
-  return {
-    agentId: String(a?.agentId || ""),
-    name: String(a?.name || "Unknown"),
-    portraitUrl: a?.portraitUrl ? String(a.portraitUrl) : "",
-    courage: toNum(a?.courage, 0),
-    investigation: toNum(a?.investigation, 0),
-    occultism: toNum(a?.occultism, 0),
-    health: toNum(a?.health, 30),
-    sanity: toNum(a?.sanity, 30),
-    skills: sanitizeSkills(a?.skills),
-    statModifiers: (a && typeof a.statModifiers === "object" && a.statModifiers) || {},
-    worldThreatModifiers:
-      (a && typeof a.worldThreatModifiers === "object" && a.worldThreatModifiers) || {},
-  };
+function roundOrNull(n) {
+  return n === null ? null : round2(n);
 }
 
-/**
- * Difficulty easing:
- * 10 -> 1.0x (no change)
- * <10 -> faster progress & gentler drain
- * EASY_SCALAR controls how much faster at low difficulties.
- */
-function getDifficultySpeed(threat) {
-  const d = Math.max(1, Math.min(10, Number(threat?.difficulty) || 10));
-  const EASY_SCALAR = 0.10; // diff 1 => 1 + (9 * 0.10) = 1.9x
-  return 1 + (10 - d) * EASY_SCALAR;
+function activeList() {
+  return [...activeThreats.values()];
 }
 
-/** Compute one agent’s contribution ("power") with NaN guards */
-function computeAgentPower(agent, threat) {
-  const c = toNum(agent?.courage, 0);
-  const i = toNum(agent?.investigation, 0);
-  const o = toNum(agent?.occultism, 0);
+// Active or archived threat by instanceId
+function findThreat(instanceId) {
+  return activeThreats.get(instanceId) || finishedThreats.find((t) => t.instanceId === instanceId) || null;
+}
 
-  let primary = o;
-  const ps = String(threat?.primaryStat || "");
-  if (ps === "Courage") primary = c;
-  else if (ps === "Investigation") primary = i;
+function zoneOccupant(zone) {
+  return activeList().find((t) => t.zone === zone) || null;
+}
 
-  const statSum = c + i + o;
+// Zones the rotation can't use right now: zone -> "zoneActive" | "zoneCooldown"
+function blockedZones(nowMs) {
+  const out = {};
+  Object.entries(zoneCooldowns).forEach(([zone, until]) => {
+    if (until > nowMs) out[zone] = "zoneCooldown";
+  });
+  activeThreats.forEach((t) => {
+    out[t.zone] = "zoneActive";
+  });
+  return out;
+}
 
-  let skillBonus = 0;
-  const need = Array.isArray(threat?.skills) ? threat.skills : [];
-  const have = new Set(Array.isArray(agent?.skills) ? agent.skills : []);
-  for (const s of need) if (have.has(s)) skillBonus += 2;
+function describeZoneCooldowns(nowMs) {
+  const out = {};
+  Object.entries(zoneCooldowns).forEach(([zone, until]) => {
+    if (until > nowMs) out[zone] = new Date(until).toISOString();
+  });
+  return out;
+}
 
-  let basePower = primary * 1.3 + statSum * 0.6 + skillBonus;
+/**
+ * Active threat a route acts on: `instanceId`, or the only active threat when it is
+ * left out (older clients). Sends the error response and returns null otherwise.
+ */
+function resolveActiveThreat(res, instanceId) {
+  if (instanceId) {
+    const t = activeThreats.get(String(instanceId));
+    if (t && t.status === "active") return t;
+    res.status(404).json({ error: "Threat not found or not active." });
+    return null;
+  }
+  if (activeThreats.size === 1) return activeList()[0];
+  res.status(400).json({
+    error: activeThreats.size ? "instanceId is required while several threats are active." : "No active threat.",
+  });
+  return null;
+}
 
-  const wtMods = agent?.worldThreatModifiers || {};
-  const powerMult = toNum(wtMods.powerMultiplier, 1);
-  basePower *= powerMult;
+// Per-agent power breakdown for the API (stat modifiers, skill bonus, multiplier)
+function describeAgentPower(agent, t, nowMs, coverage) {
+  const b = engine.powerBreakdown(agent, t, nowMs);
+  const stats = {};
+  Object.entries(b.stats).forEach(([stat, s]) => {
+    stats[stat] = { ...s, flat: round2(s.flat), percent: round2(s.percent), effective: round2(s.effective) };
+  });
+  return {
+    stats,
+    primaryStat: b.primaryStat,
+    skillBonus: round2(b.skillBonus),
+    skills: b.skills,
+    powerMultiplier: b.powerMultiplier,
+    coverageMultiplier: coverage.multiplier,
+    power: round2(b.power * coverage.multiplier),
+  };
+}
 
-  if (!Number.isFinite(basePower) || basePower < 0) basePower = 0;
-  return basePower;
+/**
+ * Seconds until the agent goes down as the drain rises phase by phase (null = never),
+ * which stat runs out first, a warning inside SURVIVAL_FORECAST.warningSeconds and
+ * whether it lasts until the ETA (null without one). `forecast` is estimateCompletion's
+ * result, so both follow the same phase schedule.
+ */
+function describeSurvival(agent, t, forecast) {
+  const s = engine.survivalTime(agent, t, forecast);
+  const etaSeconds = forecast.etaSeconds;
+  return {
+    seconds: roundOrNull(s.seconds),
+    healthSeconds: roundOrNull(s.healthSeconds),
+    sanitySeconds: roundOrNull(s.sanitySeconds),
+    limitedBy: s.limitedBy,
+    warning: s.seconds !== null && s.seconds <= SURVIVAL_FORECAST.warningSeconds,
+    outlastsEta: etaSeconds === null ? null : s.seconds === null || s.seconds > etaSeconds,
+  };
 }
 
-// Round a timestamp down to the start of its minute
-function minuteBucket(tsMs) {
-  return Math.floor(tsMs / 60000) * 60000;
+// Roster-wide view of the agents' forecasts: does everyone last until the ETA?
+function summarizeSurvival(bundles, etaSeconds) {
+  const agents = bundles.flatMap((b) => b.agents.map((a) => ({ playerId: b.playerId, ...a })));
+  const first = agents
+    .filter((a) => a.survival.seconds !== null)
+    .sort((a, b) => a.survival.seconds - b.survival.seconds)[0];
+  return {
+    survivesUntilEta: etaSeconds === null || !agents.length ? null : agents.every((a) => a.survival.outlastsEta),
+    downBeforeEta: agents.filter((a) => a.survival.outlastsEta === false).length,
+    warnings: agents.filter((a) => a.survival.warning).length,
+    firstDown: first
+      ? {
+          playerId: first.playerId,
+          agentId: first.agentId,
+          seconds: first.survival.seconds,
+          limitedBy: first.survival.limitedBy,
+        }
+      : null,
+  };
 }
 
 function decorateThreat(t) {
-  const now = Date.now();
+  const now = adminConsole.clockOf(t, Date.now()); // a paused threat's timers stand still
   const expTs = new Date(t.expiresAt).getTime();
   const secondsToExpiry = Math.max(0, Math.floor((expTs - now) / 1000));
 
   let etaSecondsToCompletion = null;
   let etaCompletionAt = null;
 
-  if (t.status === "active") {
-    let totalPower = 0;
-    (t.assignedAgents || []).forEach((b) =>
-      (b.agents || []).forEach((a) => {
-        totalPower += computeAgentPower(a, t);
-      })
-    );
-    const diffSpeed = getDifficultySpeed(t);
-    const perSec = totalPower * WT_BASE_RATE * diffSpeed;
-    if (perSec > 0 && t.progress < 100) {
-      etaSecondsToCompletion = (100 - t.progress) / perSec;
-      etaCompletionAt = new Date(now + etaSecondsToCompletion * 1000).toISOString();
-    }
+  const phases = Array.isArray(t.phases) ? t.phases : [];
+  const phaseIndex = getPhaseIndex(t);
+  const upcomingPhases = phases
+    .slice(phaseIndex + 1)
+    .map((ph, i) => ({ ...publicPhase(ph, phaseIndex + 1 + i, { withNarrative: false }), etaSeconds: null }));
+
+  // Phase-aware: the rate changes at each remaining threshold
+  const forecast = engine.estimateCompletion(t, now);
+  const { etaSeconds, phaseEtas } = forecast;
+  if (etaSeconds !== null) {
+    etaSecondsToCompletion = etaSeconds;
+    etaCompletionAt = new Date(now + etaSecondsToCompletion * 1000).toISOString();
+    upcomingPhases.forEach((u) => {
+      u.etaSeconds = phaseEtas[u.index] ?? null;
+    });
   }
 
+  const skillCoverage = engine.skillCoverage(t);
+  const active = t.status === "active";
+  const assignedAgents = (t.assignedAgents || []).map((b) => ({
+    ...b,
+    agents: (b.agents || []).map((a) => ({
+      ...a,
+      power: describeAgentPower(a, t, now, skillCoverage),
+      survival: active ? describeSurvival(a, t, forecast) : null,
+    })),
+  }));
+
   // Small summary of contributions (optional UI helper)
   const contributionsSummary = t.contributions
     ? {
@@ -153,21 +343,118 @@ function decorateThreat(t) {
 
   return {
     ...t,
+    assignedAgents,
     secondsToExpiry,
     etaSecondsToCompletion,
     etaCompletionAt,
+    rosterSurvival: active ? summarizeSurvival(assignedAgents, etaSecondsToCompletion) : null,
     contributionsSummary,
+    skillCoverage, // team bonus once every required skill is covered
+    durability: t.scaling
+      ? {
+          mode: t.scaling.mode,
+          factor: round2(toNum(t.durabilityFactor, 1)),
+          target: round2(toNum(t.durabilityTarget, 1)),
+          min: t.scaling.min,
+          max: t.scaling.max,
+        }
+      : null,
+    currentPhase: phaseIndex >= 0 ? publicPhase(phases[phaseIndex], phaseIndex) : null,
+    upcomingPhases,
+  };
+}
+
+// Compact per-tick payload for the live stream, built from the threat as the step left
+// it (no power breakdowns or descriptions; the ETA reuses the engine's cached phase powers).
+// Agents only appear when their health/sanity (to 0.1) or survival warning changed since
+// the last tick; agents no longer on the threat are listed in leftAgentIds.
+function buildTickDelta(t, nowMs) {
+  const forecast = engine.estimateCompletion(t, nowMs);
+  const { etaSeconds } = forecast;
+  const sent = tickSent.get(t.instanceId) || new Map();
+  const seen = new Set();
+  let firstDownSeconds = null;
+  const bundles = [];
+  (t.assignedAgents || []).forEach((b) => {
+    const agents = [];
+    (b.agents || []).forEach((a) => {
+      seen.add(a.agentId);
+      const survival = engine.survivalTime(a, t, forecast);
+      if (survival.seconds !== null && (firstDownSeconds === null || survival.seconds < firstDownSeconds)) {
+        firstDownSeconds = survival.seconds;
+      }
+      const warning = survival.seconds !== null && survival.seconds <= SURVIVAL_FORECAST.warningSeconds;
+      const key = `${Math.round(a.health * 10)}|${Math.round(a.sanity * 10)}|${warning}`;
+      if (sent.get(a.agentId) === key) return;
+      sent.set(a.agentId, key);
+      agents.push({
+        agentId: a.agentId,
+        health: round2(a.health),
+        sanity: round2(a.sanity),
+        survivalSeconds: roundOrNull(survival.seconds),
+        survivalWarning: warning,
+      });
+    });
+    if (agents.length) bundles.push({ playerId: b.playerId, agents });
+  });
+  const leftAgentIds = [...sent.keys()].filter((id) => !seen.has(id));
+  leftAgentIds.forEach((id) => sent.delete(id));
+  tickSent.set(t.instanceId, sent);
+
+  return {
+    instanceId: t.instanceId,
+    progress: round2(t.progress),
+    phaseIndex: getPhaseIndex(t),
+    durabilityFactor: round2(toNum(t.durabilityFactor, 1)),
+    etaSecondsToCompletion: etaSeconds === null ? null : Math.round(etaSeconds),
+    secondsToExpiry: Math.max(0, Math.floor((new Date(t.expiresAt).getTime() - nowMs) / 1000)),
+    rosterSurvivesUntilEta:
+      etaSeconds === null || !seen.size ? null : firstDownSeconds === null || firstDownSeconds > etaSeconds,
+    bundles,
+    leftAgentIds,
   };
 }
 
 // ----------------- Threat lifecycle -----------------
-function spawnThreat() {
-  const tmpl = rngPick(threatTemplates);
-  const inst = createThreatInstance(tmpl);
-  // init contribution tracking
-  inst.contributions = { totals: {}, buckets: {} };
-  activeThreat = inst;
-  lastTickMs = Date.now();
+// No template = let the spawn director pick from the rotation (busy and cooling zones
+// are left out). Returns null when nothing can spawn or the zone already has a threat.
+function spawnThreat(tmpl = null, source = "rotation", scheduleId = null) {
+  const now = Date.now();
+  if (!tmpl) tmpl = spawnDirector.pickTemplate(templateRegistry.all(), now, { blockedZones: blockedZones(now) });
+  if (!tmpl || zoneOccupant(tmpl.zone)) return null;
+  const inst = prepareInstance(applyZonePressure(createThreatInstance(tmpl)), RNG_SEED);
+  activeThreats.set(inst.instanceId, inst);
+  delete zoneCooldowns[inst.zone];
+  persistState(true);
+  spawnDirector.recordSpawn(tmpl, now, source, scheduleId);
+  stream.publish("spawned", decorateThreat(inst));
+  return inst;
+}
+
+// Corruption in the threat's zone makes it harder (difficulty bonus) and more draining
+function applyZonePressure(inst) {
+  const fx = zoneMap.effects(inst.zone);
+  const bump = (d) => Math.min(10, d + fx.difficultyBonus);
+  inst.difficulty = bump(inst.difficulty);
+  inst.phases.forEach((ph) => {
+    if (ph.difficulty !== undefined) ph.difficulty = bump(ph.difficulty);
+  });
+  inst.zoneDrainMultiplier = fx.drainMultiplier;
+  inst.zoneCorruptionAtSpawn = zoneMap.level(inst.zone);
+  return inst;
+}
+
+// Scheduled spawns skip the zone cooldown (they wait until the zone is free).
+// Entries whose template was removed are dropped.
+function spawnScheduled(entry) {
+  spawnDirector.removeScheduled(entry.id);
+  const tmpl = templateRegistry.get(entry.templateId);
+  if (!tmpl) {
+    console.warn(`Scheduled spawn ${entry.id} skipped: template ${entry.templateId} no longer exists`);
+    persistState(true);
+    return null;
+  }
+  return spawnThreat(tmpl, "schedule", entry.id);
 }
 
 function buildEligibilityMap(threat) {
@@ -179,129 +466,240 @@ function buildEligibilityMap(threat) {
   return map;
 }
 
-function endActiveThreat(status) {
-  if (!activeThreat) return;
+function endThreat(t, status, endedAtMs = Date.now()) {
+  if (!activeThreats.has(t.instanceId)) return;
   const ended = {
-    ...activeThreat,
+    ...t,
     status,
-    eligibleForRewardByPlayerId: buildEligibilityMap(activeThreat),
-    endedAt: new Date().toISOString(),
+    eligibleForRewardByPlayerId: buildEligibilityMap(t),
+    endedAt: new Date(endedAtMs).toISOString(),
   };
+  delete ended.pausedAt;
+  delete ended.pausedBy;
+  ended.objectiveResult = summarizeObjective(ended);
+  // Admin finish/cycle don't count as the players' win or loss: no zone impact, no season standings
+  const byAdmin = ended.endedBy === "admin";
+  ended.zoneImpact = byAdmin ? [] : zoneMap.recordOutcome(ended, endedAtMs);
   finishedThreats.unshift(ended);
-  activeThreat = null;
-  cooldownUntilMs = Date.now() + COOLDOWN_MIN * 60 * 1000;
+  if (!byAdmin) seasons.recordThreat(ended);
+  activeThreats.delete(t.instanceId);
+  tickSent.delete(t.instanceId);
+  zoneCooldowns[ended.zone] = endedAtMs + CONCURRENCY.zoneCooldownMinutes * 60000;
   if (finishedThreats.length > 50) {
     finishedThreats = finishedThreats.slice(0, 50);
+    rewardLedger.prune(finishedThreats.map((ft) => ft.instanceId));
+  }
+  persistState(true);
+  stream.publish(status, {
+    instanceId: ended.instanceId,
+    progress: round2(ended.progress),
+    objectiveResult: ended.objectiveResult,
+    endedAt: ended.endedAt,
+    zone: ended.zone,
+    cooldownUntil: new Date(zoneCooldowns[ended.zone]).toISOString(),
+  });
+  if (ended.zoneImpact.length) {
+    stream.publish("zoneCorruption", { instanceId: ended.instanceId, changes: ended.zoneImpact });
   }
 }
 
-// ----------------- Main tick -----------------
-function tickThreats() {
-  const now = Date.now();
-  const elapsedSec = (now - lastTickMs) / 1000;
-  if (elapsedSec <= 0) return;
-  lastTickMs = now;
+// Directors an admin banned from the threat can't bring agents back in
+function rejectBanned(res, t, playerId) {
+  const ban = adminConsole.banOf(t, playerId);
+  if (!ban) return false;
+  res.status(403).json({ error: "Player is banned from this threat.", code: "PLAYER_BANNED", reason: ban.reason });
+  return true;
+}
 
-  // No active threat: auto-spawn when cooldown passed
-  if (!activeThreat) {
-    if (now >= cooldownUntilMs) {
-      spawnThreat();
-    }
-    return;
+// 409 with one entry per offending agent (see worldThreatAgentRules.js)
+function rejectAgents(res, violations) {
+  return res.status(409).json({
+    error: "Some agents can't be deployed.",
+    code: "AGENT_RULES",
+    violations,
+  });
+}
+
+// Signature and bounds checks on submitted snapshots; refusals answer with one
+// violation per agent (403 for signature problems, 422 for out-of-bounds values), or
+// a 503 while snapshot signing isn't configured
+function screenSnapshots(req, res, playerId, rawAgents, t) {
+  const result = snapshotGuard.inspect(rawAgents, playerId, {
+    nowMs: Date.now(),
+    sanitize: sanitizeAgentSnapshot,
+    context: { route: req.path, ip: req.ip, instanceId: t.instanceId },
+  });
+  if (result.agents) return result.agents;
+  if (result.error) {
+    res.status(result.status).json({ error: result.error, code: "SIGNING_NOT_CONFIGURED" });
+    return null;
   }
+  res.status(result.status).json({
+    error: "Some agent snapshots failed integrity checks.",
+    code: "SNAPSHOT_INTEGRITY",
+    violations: result.violations,
+  });
+  return null;
+}
 
-  const t = activeThreat;
+// All casualties (active threats + archive) belonging to one player, newest first
+function casualtiesForPlayer(playerId) {
+  const out = [];
+  [...activeList(), ...finishedThreats].forEach((t) =>
+    (t.casualties || []).forEach((c) => {
+      if (c.playerId === playerId) out.push(c);
+    })
+  );
+  return out.sort((a, b) => new Date(b.at) - new Date(a.at));
+}
 
-  // Expiry
-  const expTs = new Date(t.expiresAt).getTime();
-  if (now >= expTs && t.status === "active") {
-    activeThreat.status = "expired";
-    endActiveThreat("expired");
-    return;
-  }
-  if (t.status !== "active") return;
+// ----------------- Persistence -----------------
+function snapshotState() {
+  return {
+    activeThreats: activeList(),
+    finishedThreats,
+    zoneCooldowns,
+    nextRotationSpawnMs,
+    lastTickMs,
+    audit: adminAuth.exportAudit(),
+    rewardClaims: rewardLedger.exportLedger(),
+    spawnDirector: spawnDirector.exportState(),
+    seasons: seasons.exportState(),
+    zoneMap: zoneMap.exportState(),
+    lockouts: lockouts.exportState(),
+    antiCheat: snapshotGuard.exportState(),
+  };
+}
 
-  // Drain & power
-  let totalPower = 0;
-  const difficultySpeed = getDifficultySpeed(t);
-  const difficultyDrainFactor = 1 / difficultySpeed;
+function restoreState(state) {
+  activeThreats.clear();
+  // Saves from before concurrent threats hold a single activeThreat
+  const active = Array.isArray(state.activeThreats) ? state.activeThreats : [state.activeThreat].filter(Boolean);
+  active.forEach((t) => activeThreats.set(t.instanceId, t));
+  finishedThreats = Array.isArray(state.finishedThreats) ? state.finishedThreats : [];
+  zoneCooldowns = state.zoneCooldowns && typeof state.zoneCooldowns === "object" ? state.zoneCooldowns : {};
+  nextRotationSpawnMs = toNum(state.nextRotationSpawnMs, 0);
+  lastTickMs = toNum(state.lastTickMs, Date.now());
+  adminAuth.restoreAudit(state.audit);
+  rewardLedger.restoreLedger(state.rewardClaims);
+  spawnDirector.restoreState(state.spawnDirector);
+  seasons.restoreState(state.seasons);
+  zoneMap.restoreState(state.zoneMap);
+  lockouts.restoreState(state.lockouts);
+  snapshotGuard.restoreState(state.antiCheat);
+}
 
-  const contribNowBucketIso = new Date(minuteBucket(now)).toISOString();
-  const KEEP_MS = 6 * 60 * 60 * 1000; // keep last 6h of minute buckets
-  const cutoff = now - KEEP_MS;
+// Marks the state dirty. Routine changes are written at most every PERSIST_INTERVAL_MS;
+// force=true (lifecycle and admin changes, reward claims) flushes within PERSIST_SOON_MS.
+// The storage only writes the sections that changed, off the request path.
+function persistState(force = false) {
+  persistDirty = true;
+  if (force) {
+    if (!persistTimer) persistTimer = setTimeout(flushState, PERSIST_SOON_MS).unref();
+    return;
+  }
+  if (Date.now() - lastPersistMs >= PERSIST_INTERVAL_MS) flushState();
+}
 
-  activeThreat.assignedAgents = (activeThreat.assignedAgents || [])
-    .map((bundle) => {
-      const updated = [];
-      let bundlePower = 0;
+function flushState() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  if (!persistDirty) return;
+  persistDirty = false;
+  lastPersistMs = Date.now();
+  storage.save(snapshotState()).catch((err) => {
+    persistDirty = true;
+    console.error("Failed to persist world threat state:", err);
+  });
+}
 
-      for (const agent of bundle.agents) {
-        const mods = agent?.worldThreatModifiers || {};
-        const healthMult = toNum(mods.healthLossMultiplier, 1);
-        const sanityMult = toNum(mods.sanityLossMultiplier, 1);
+// ----------------- Main tick -----------------
+// `now` is injectable so a restored state can be advanced over the downtime in one pass.
+function tickThreats(now = Date.now()) {
+  if (now - lastTickMs <= 0) return;
+  lastTickMs = now;
 
-        const baseHp = (HP_LOSS_PER_MIN * elapsedSec) / 60;
-        const baseSan = (SAN_LOSS_PER_MIN * elapsedSec) / 60;
+  activeList().forEach((t) => tickThreat(t, now));
+  spawnDue(now);
+  persistState();
+}
 
-        // Harder difficulty => more drain (inverse of speed)
-        const hpLoss = baseHp * difficultyDrainFactor * healthMult;
-        const sanLoss = baseSan * difficultyDrainFactor * sanityMult;
+function tickThreat(t, now) {
+  if (t.status !== "active" || t.pausedAt) return; // paused by an admin
 
-        let newHealth = toNum(agent?.health, 30) - hpLoss;
-        let newSanity = toNum(agent?.sanity, 30) - sanLoss;
+  // Fixed steps from the threat's own lastTick; a long stall catches up over several ticks
+  const run = engine.advanceThreatTo(t, now);
 
-        if (newHealth <= 0 || newSanity <= 0) {
-          // downed/broken: drop from list
-          continue;
-        }
+  run.incidents.forEach((incident) => stream.publish("incident", { instanceId: t.instanceId, ...incident }));
+  run.downed.forEach((d) => {
+    const lock = lockouts.lockCasualty(d);
+    stream.publish("agentDowned", { ...d, lockedUntil: lock.until });
+  });
+  run.phaseChanges.forEach((phase) => stream.publish("phaseChanged", { instanceId: t.instanceId, phase }));
+  run.raceFinishers.forEach((f) => stream.publish("raceFinisher", { instanceId: t.instanceId, ...f }));
 
-        const live = { ...agent, health: newHealth, sanity: newSanity };
-        const p = computeAgentPower(live, t);
-        bundlePower += p;
-        updated.push(live);
-      }
+  // Cleared
+  if (run.cleared) {
+    t.status = "cleared";
+    endThreat(t, "cleared", run.simEnd);
+    return;
+  }
 
-      // Record contribution for this player (power-seconds)
-      if (!activeThreat.contributions) {
-        activeThreat.contributions = { totals: {}, buckets: {} };
-      }
-      const pid = String(bundle.playerId || "unknown");
-      const contrib = bundlePower * elapsedSec;
+  // Expiry
+  if (run.expired) {
+    t.status = "expired";
+    endThreat(t, "expired", run.expTs);
+    return;
+  }
 
-      activeThreat.contributions.totals[pid] =
-        (activeThreat.contributions.totals[pid] || 0) + contrib;
+  if (run.steps) stream.publish("tick", { ...buildTickDelta(t, now), lagSeconds: Math.round(run.lagSeconds) });
+}
 
-      if (!activeThreat.contributions.buckets[pid]) {
-        activeThreat.contributions.buckets[pid] = {};
-      }
-      activeThreat.contributions.buckets[pid][contribNowBucketIso] =
-        (activeThreat.contributions.buckets[pid][contribNowBucketIso] || 0) + contrib;
+// Scheduled entries first (once their zone is free), then the rotation fills free
+// zones up to maxActiveThreats, one spawn per rotationGapMinutes
+function spawnDue(now) {
+  Object.entries(zoneCooldowns).forEach(([zone, until]) => {
+    if (until > now) return;
+    delete zoneCooldowns[zone];
+    stream.publish("cooldownEnded", { zone, cooldownUntil: new Date(until).toISOString() });
+  });
 
-      // prune old minute buckets to bound memory
-      const byMinute = activeThreat.contributions.buckets[pid];
-      for (const k of Object.keys(byMinute)) {
-        if (new Date(k).getTime() < cutoff) delete byMinute[k];
-      }
+  // Scheduled entries wait for their zone; say so once per occupant instead of waiting silently
+  spawnDirector.upcoming().forEach((e) => {
+    if (new Date(e.at).getTime() > now) return;
+    const tmpl = templateRegistry.get(e.templateId);
+    const occupant = tmpl ? zoneOccupant(tmpl.zone) : null;
+    if (!occupant || !spawnDirector.markDelayed(e.id, occupant.instanceId, now)) return;
+    stream.publish("scheduleDelayed", {
+      id: e.id,
+      templateId: e.templateId,
+      zone: tmpl.zone,
+      at: e.at,
+      blockedBy: occupant.instanceId,
+      blockedUntil: occupant.expiresAt,
+    });
+    persistState(true);
+  });
 
-      totalPower += bundlePower;
-      return { ...bundle, agents: updated };
-    })
-    .filter((b) => b.agents && b.agents.length > 0);
+  const due = spawnDirector.dueScheduled(now, (e) => {
+    const tmpl = templateRegistry.get(e.templateId);
+    return !tmpl || !zoneOccupant(tmpl.zone);
+  });
+  if (due) spawnScheduled(due);
 
-  // Progress (easier difficulty => faster)
-  const progressDelta = elapsedSec * totalPower * WT_BASE_RATE * difficultySpeed;
-  const nextProgress = toNum(t.progress, 0) + progressDelta;
-  activeThreat.progress = Math.min(100, nextProgress);
-  activeThreat.lastTick = new Date().toISOString();
+  if (activeThreats.size >= CONCURRENCY.maxActiveThreats || now < nextRotationSpawnMs) return;
+  if (spawnThreat()) nextRotationSpawnMs = now + CONCURRENCY.rotationGapMinutes * 60000;
+}
 
-  // Cleared
-  if (activeThreat.progress >= 100) {
-    activeThreat.status = "cleared";
-    endActiveThreat("cleared");
-  }
+// Restore the last saved state and apply the downtime before the first live tick
+const restored = storage.load();
+if (restored) {
+  restoreState(restored);
+  tickThreats();
+  console.log(`Restored world threat state from ${storage.driver} storage`);
 }
 
-setInterval(tickThreats, 1000);
+setInterval(() => tickThreats(), 1000);
 
 // ----------------- API -----------------
 // Health check
@@ -309,107 +707,245 @@ app.get("/", (_req, res) => {
   res.send("World Threat server online");
 });
 
-// List: active first, then archives (newest first)
+// Live updates (SSE). Resume with the Last-Event-ID header or ?lastEventId=
+app.get("/world-threats/stream", stream.sseHandler);
+
+// List: active and archived threats, newest first
 app.get("/world-threats", (_req, res) => {
-  const list = [];
-  if (activeThreat) list.push(decorateThreat(activeThreat));
-  finishedThreats.forEach((ft) => list.push(decorateThreat(ft)));
+  const list = [...activeList(), ...finishedThreats].map(decorateThreat);
   list.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   res.json(list);
 });
 
-// Assign: up to 3 agents per player (instance-less endpoint)
-app.post("/world-threats/assign", (req, res) => {
+// Up to 3 agents per player and threat. An agent is on one threat at a time; ones the
+// player has resting on another threat move over with their live health/sanity.
+function assignAgents(req, res, t) {
   const { playerId, directorName, agents } = req.body || {};
-  if (!activeThreat || activeThreat.status !== "active") {
-    return res.status(400).json({ error: "No active threat to assign to." });
-  }
   if (!playerId || !directorName || !Array.isArray(agents)) {
     return res.status(400).json({ error: "Missing playerId, directorName, or agents." });
   }
+  if (rejectBanned(res, t, playerId)) return;
 
-  const limited = agents.slice(0, 3).map(sanitizeAgentSnapshot);
+  const now = Date.now();
+  const snapshots = screenSnapshots(req, res, playerId, agents.slice(0, 3), t);
+  if (!snapshots) return;
+  const others = activeList().filter((o) => o !== t);
+  const violations = checkAgents(t, playerId, snapshots, { lockouts, nowMs: now, otherThreats: others });
+  if (violations.length) return rejectAgents(res, violations);
+
+  const ids = snapshots.map((a) => a.agentId);
+  const carried = [];
+  others.forEach((o) => {
+    carried.push(...support.findResting(o, playerId, ids, now));
+    support.dropResting(o, playerId, ids);
+  });
+  // Agents already on the threat keep their live health/sanity
+  const limited = support.mergeAssignment(t, playerId, snapshots, now, carried);
 
-  const bundles = activeThreat.assignedAgents || [];
+  const bundles = t.assignedAgents || [];
   const idx = bundles.findIndex((b) => b.playerId === playerId);
   const bundle = { playerId: String(playerId), directorName: String(directorName), agents: limited };
   if (idx >= 0) bundles[idx] = bundle; else bundles.push(bundle);
-  activeThreat.assignedAgents = bundles;
+  t.assignedAgents = bundles;
+  persistState();
 
-  return res.json(decorateThreat(activeThreat));
+  return res.json(decorateThreat(t));
+}
+
+app.post("/world-threats/:instanceId/assign", playerAuth.guard(), (req, res) => {
+  const t = resolveActiveThreat(res, req.params.instanceId);
+  if (t) assignAgents(req, res, t);
 });
 
-// Unassign (instance-less endpoint)
-app.post("/world-threats/unassign", (req, res) => {
+app.post("/world-threats/:instanceId/unassign", playerAuth.guard(), (req, res) => {
   const { playerId } = req.body || {};
   if (!playerId) return res.status(400).json({ error: "Missing playerId" });
-  if (!activeThreat) return res.json({ ok: true });
-  activeThreat.assignedAgents = (activeThreat.assignedAgents || []).filter(
-    (b) => b.playerId !== playerId
-  );
-  return res.json(decorateThreat(activeThreat));
+  const t = resolveActiveThreat(res, req.params.instanceId);
+  if (!t) return;
+  support.pullBundle(t, playerId, Date.now()); // agents keep their drained state
+  persistState();
+  return res.json(decorateThreat(t));
 });
 
-// ---------- Back-compat routes (instanceId in path) ----------
-app.post("/world-threats/:instanceId/assign", (req, res) => {
-  const { instanceId } = req.params;
-  if (!activeThreat || activeThreat.status !== "active") {
-    return res.status(400).json({ error: "No active threat to assign to." });
-  }
-  if (activeThreat.instanceId !== instanceId) {
-    return res.status(404).json({ error: "Threat not found or not active." });
+// Instance-less assign: body.instanceId, optional while only one threat is active
+app.post("/world-threats/assign", playerAuth.guard(), (req, res) => {
+  const t = resolveActiveThreat(res, req.body?.instanceId);
+  if (t) assignAgents(req, res, t);
+});
+
+// Instance-less unassign: from body.instanceId, or else from every threat the player is on
+app.post("/world-threats/unassign", playerAuth.guard(), (req, res) => {
+  const { playerId, instanceId } = req.body || {};
+  if (!playerId) return res.status(400).json({ error: "Missing playerId" });
+  if (instanceId) {
+    const t = resolveActiveThreat(res, instanceId);
+    if (!t) return;
+    support.pullBundle(t, playerId, Date.now());
+    persistState();
+    return res.json(decorateThreat(t));
   }
+  const now = Date.now();
+  const unassignedFrom = activeList()
+    .filter((t) => support.pullBundle(t, playerId, now).length)
+    .map((t) => t.instanceId);
+  if (unassignedFrom.length) persistState();
+  return res.json({ ok: true, unassignedFrom });
+});
 
-  const { playerId, directorName, agents } = req.body || {};
-  if (!playerId || !directorName || !Array.isArray(agents)) {
-    return res.status(400).json({ error: "Missing playerId, directorName, or agents." });
+// ---------------- Assignment preview ----------------
+/**
+ * What `rawAgents` would do on `t` as `playerId`'s bundle (replacing the current one,
+ * as a re-assign would), computed on a copy of the threat. Snapshots are clamped to
+ * SNAPSHOT_RULES and agents the server tracks use their live health/sanity.
+ */
+function previewAssignment(t, playerId, rawAgents, nowMs) {
+  const others = activeList().filter((o) => o !== t);
+  const snapshots = rawAgents.map(sanitizeAgentSnapshot);
+  const adjustments = snapshots.map((a) => snapshotGuard.enforceBounds(a));
+  const ids = snapshots.map((a) => a.agentId);
+  const carried = others.flatMap((o) => support.findResting(o, playerId, ids, nowMs));
+  const agents = support.withTrackedState(t, playerId, snapshots, nowMs, carried);
+
+  const hyp = {
+    ...t,
+    assignedAgents: [
+      ...(t.assignedAgents || []).filter((b) => b.playerId !== playerId),
+      { playerId, directorName: "", agents },
+    ],
+  };
+  const coverage = engine.skillCoverage(hyp);
+  const powerOf = (a) => engine.computeAgentPower(a, hyp, nowMs) * coverage.multiplier;
+  const totalPower = hyp.assignedAgents.reduce((sum, b) => sum + b.agents.reduce((s, a) => s + powerOf(a), 0), 0);
+  const bundlePower = agents.reduce((sum, a) => sum + powerOf(a), 0);
+  // Scaled threats toughen at once when the roster grows (and only ease off slowly)
+  if (t.scaling) {
+    hyp.durabilityFactor = Math.max(toNum(t.durabilityFactor, 1), engine.durabilityTarget(hyp, totalPower));
   }
 
-  const limited = agents.slice(0, 3).map(sanitizeAgentSnapshot);
+  const current = engine.estimateCompletion(t, nowMs).etaSeconds;
+  const forecast = engine.estimateCompletion(hyp, nowMs);
+  const projected = forecast.etaSeconds;
+  const secondsToExpiry = Math.max(0, (new Date(t.expiresAt).getTime() - nowMs) / 1000);
+  return {
+    instanceId: t.instanceId,
+    playerId: playerId || null,
+    agents: agents.map((a, i) => ({
+      agentId: a.agentId,
+      name: a.name,
+      health: round2(a.health),
+      sanity: round2(a.sanity),
+      power: describeAgentPower(a, hyp, nowMs, coverage),
+      survival: describeSurvival(a, hyp, forecast),
+      adjustments: adjustments[i],
+    })),
+    bundlePower: round2(bundlePower),
+    expectedSharePercent: totalPower > 0 ? round2((bundlePower / totalPower) * 100) : 0,
+    skillCoverage: coverage,
+    durabilityFactor: {
+      current: round2(toNum(t.durabilityFactor, 1)),
+      projected: round2(toNum(hyp.durabilityFactor, 1)),
+    },
+    eta: {
+      currentSeconds: roundOrNull(current),
+      projectedSeconds: roundOrNull(projected),
+      changeSeconds: current !== null && projected !== null ? round2(projected - current) : null,
+      secondsToExpiry: Math.floor(secondsToExpiry),
+      clearsBeforeExpiry: projected !== null && projected <= secondsToExpiry,
+    },
+    violations: checkAgents(t, playerId, snapshots, { lockouts, nowMs, otherThreats: others }),
+  };
+}
 
-  const bundles = activeThreat.assignedAgents || [];
-  const idx = bundles.findIndex((b) => b.playerId === playerId);
-  const bundle = { playerId: String(playerId), directorName: String(directorName), agents: limited };
-  if (idx >= 0) bundles[idx] = bundle; else bundles.push(bundle);
-  activeThreat.assignedAgents = bundles;
+// Body: { instanceId?, playerId?, agents } (up to 3 snapshots). Nothing is saved or logged.
+app.post("/world-threats/preview", (req, res) => {
+  const { instanceId, playerId, agents } = req.body || {};
+  if (!Array.isArray(agents) || !agents.length) {
+    return res.status(400).json({ error: "agents must be a non-empty array." });
+  }
+  const t = resolveActiveThreat(res, instanceId);
+  if (!t) return;
+  res.json(previewAssignment(t, String(playerId || ""), agents.slice(0, 3), adminConsole.clockOf(t, Date.now())));
+});
 
-  return res.json(decorateThreat(activeThreat));
+// ---------------- Support actions ----------------
+// Charges, cooldowns and resting agents for one director on an active threat (?playerId=&instanceId=)
+app.get("/world-threats/support", (req, res) => {
+  const { playerId, instanceId } = req.query;
+  if (!playerId) return res.status(400).json({ error: "Missing playerId" });
+  const t = resolveActiveThreat(res, instanceId);
+  if (!t) return;
+  res.json({ instanceId: t.instanceId, ...support.describe(t, playerId, Date.now()) });
 });
 
-app.post("/world-threats/:instanceId/unassign", (req, res) => {
-  const { instanceId } = req.params;
-  const { playerId } = req.body || {};
+// :action = heal | calm | rest | swap
+// Body: { playerId, instanceId, agentId } (heal/calm/rest; swap: agentId of a resting agent)
+//       swap may instead send { agent: snapshot } and/or outAgentId to rest in the same move;
+//       a snapshot of an agent resting on another threat brings its live state along
+app.post("/world-threats/support/:action", playerAuth.guard(), (req, res) => {
+  const { playerId, instanceId, agentId, outAgentId, agent } = req.body || {};
   if (!playerId) return res.status(400).json({ error: "Missing playerId" });
-  if (!activeThreat || activeThreat.instanceId !== instanceId) {
-    return res.status(404).json({ error: "Threat not found or not active." });
+  const t = resolveActiveThreat(res, instanceId);
+  if (!t || rejectBanned(res, t, playerId)) return;
+
+  const now = Date.now();
+  const others = activeList().filter((o) => o !== t);
+  let screened = null;
+  let carried = [];
+  if (req.params.action === "swap" && agent && typeof agent === "object") {
+    [screened] = screenSnapshots(req, res, playerId, [agent], t) || [];
+    if (!screened) return;
+    const violations = checkAgents(t, playerId, [screened], { lockouts, nowMs: now, otherThreats: others });
+    if (violations.length) return rejectAgents(res, violations);
+    carried = others.flatMap((o) => support.findResting(o, playerId, [screened.agentId], now));
   }
-  activeThreat.assignedAgents = (activeThreat.assignedAgents || []).filter(
-    (b) => b.playerId !== playerId
+  const result = support.perform(
+    t,
+    playerId,
+    req.params.action,
+    { agentId, outAgentId, agent, carried },
+    now,
+    () => screened
   );
-  return res.json(decorateThreat(activeThreat));
+  if (result.error) {
+    if (result.retryAfterSeconds) res.set("Retry-After", String(result.retryAfterSeconds));
+    return res.status(result.status).json({ error: result.error, retryAfterSeconds: result.retryAfterSeconds });
+  }
+  if (carried.length) others.forEach((o) => support.dropResting(o, playerId, [result.agentId]));
+  persistState();
+  stream.publish("support", {
+    instanceId: t.instanceId,
+    playerId: String(playerId),
+    action: result.action,
+    agentId: result.agentId,
+  });
+  res.json({ ...result, threat: decorateThreat(t) });
 });
 
 // ---------------- Contribution endpoints ----------------
-app.get("/world-threats/contributions/current", (_req, res) => {
-  if (!activeThreat || !activeThreat.contributions) {
-    return res.json({
-      instanceId: activeThreat?.instanceId || null,
-      totals: {},
-      buckets: {},
-    });
-  }
-  res.json({
-    instanceId: activeThreat.instanceId,
-    totals: activeThreat.contributions.totals,
-    buckets: activeThreat.contributions.buckets,
-  });
+function contributionsView(t) {
+  return {
+    instanceId: t?.instanceId || null,
+    totals: t?.contributions?.totals || {},
+    buckets: t?.contributions?.buckets || {},
+  };
+}
+
+// Live contributions of one active threat: ?instanceId=, else the oldest active one
+// (the single-threat shape older clients read)
+app.get("/world-threats/contributions/current", (req, res) => {
+  if (!req.query.instanceId) return res.json(contributionsView(activeList()[0]));
+  const t = activeThreats.get(String(req.query.instanceId));
+  if (!t) return res.status(404).json({ error: "Threat not found or not active." });
+  res.json(contributionsView(t));
+});
+
+// Live contributions of every active threat
+app.get("/world-threats/contributions/active", (_req, res) => {
+  res.json(activeList().map(contributionsView));
 });
 
 app.get("/world-threats/:instanceId/contributions", (req, res) => {
-  const { instanceId } = req.params;
-  const src =
-    (activeThreat && activeThreat.instanceId === instanceId) ? activeThreat :
-    finishedThreats.find((t) => t.instanceId === instanceId);
+  const src = findThreat(req.params.instanceId);
   if (!src || !src.contributions) {
     return res.status(404).json({ error: "No contributions for that instance." });
   }
@@ -420,25 +956,502 @@ app.get("/world-threats/:instanceId/contributions", (req, res) => {
   });
 });
 
+// Incident log for an active or archived threat. ?since=<seq> returns only newer entries
+app.get("/world-threats/:instanceId/incidents", (req, res) => {
+  const src = findThreat(req.params.instanceId);
+  if (!src) return res.status(404).json({ error: "Threat not found." });
+  const since = toNum(req.query.since, 0);
+  res.json((src.incidentLog || []).filter((e) => e.seq > since));
+});
+
+// ---------------- Reward endpoints ----------------
+// Claim status for one player across the archive
+app.get("/world-threats/rewards", (req, res) => {
+  const playerId = req.query.playerId;
+  if (!playerId) return res.status(400).json({ error: "Missing playerId" });
+  const out = [];
+  finishedThreats.forEach((ft) => {
+    const row = rewardLedger.statusFor(ft).find((r) => r.playerId === String(playerId));
+    if (row) out.push(row);
+  });
+  res.json(out);
+});
+
+// Claim status for every participant of one archived threat
+app.get("/world-threats/:instanceId/rewards", (req, res) => {
+  const ft = finishedThreats.find((t) => t.instanceId === req.params.instanceId);
+  if (!ft) return res.status(404).json({ error: "No archived threat with that instanceId." });
+  res.json(rewardLedger.statusFor(ft));
+});
+
+// Idempotent per player: a repeated claim returns the original record
+app.post("/world-threats/:instanceId/claim", playerAuth.guard(), (req, res) => {
+  const { instanceId } = req.params;
+  const { playerId } = req.body || {};
+  if (!playerId) return res.status(400).json({ error: "Missing playerId" });
+  if (activeThreats.has(instanceId)) {
+    return res.status(409).json({ error: "Threat has not ended yet." });
+  }
+  const ft = finishedThreats.find((t) => t.instanceId === instanceId);
+  if (!ft) return res.status(404).json({ error: "No archived threat with that instanceId." });
+
+  const result = rewardLedger.claim(ft, playerId);
+  if (result.error) return res.status(403).json({ error: result.error });
+  if (!result.alreadyClaimed) persistState(true);
+  return res.status(result.alreadyClaimed ? 200 : 201).json(result);
+});
+
+// ---------------- Casualty endpoints ----------------
+// ?status=unacknowledged (default) | all
+app.get("/players/:playerId/casualties", (req, res) => {
+  const all = casualtiesForPlayer(req.params.playerId);
+  res.json(req.query.status === "all" ? all : all.filter((c) => !c.acknowledged));
+});
+
+// Agents of this player that are still recovering from being downed
+app.get("/players/:playerId/lockouts", (req, res) => {
+  res.json(lockouts.forPlayer(req.params.playerId, Date.now()));
+});
+
+// Body: { casualtyIds: string[] } — omit to acknowledge everything outstanding
+app.post("/players/:playerId/casualties/ack", playerAuth.guard(), (req, res) => {
+  const { casualtyIds } = req.body || {};
+  if (casualtyIds !== undefined && !Array.isArray(casualtyIds)) {
+    return res.status(400).json({ error: "casualtyIds must be an array" });
+  }
+  const wanted = casualtyIds ? new Set(casualtyIds.map(String)) : null;
+  const at = new Date().toISOString();
+  const acknowledged = [];
+  casualtiesForPlayer(req.params.playerId).forEach((c) => {
+    if (c.acknowledged || (wanted && !wanted.has(c.casualtyId))) return;
+    c.acknowledged = true;
+    c.acknowledgedAt = at;
+    acknowledged.push(c.casualtyId);
+  });
+  if (acknowledged.length) persistState();
+  res.json({ ok: true, acknowledged });
+});
+
+// Global threat map: corruption and its effects per zone, with the zone's active
+// threat and spawn cooldown
+app.get("/world-map", (_req, res) => {
+  const cooldowns = describeZoneCooldowns(Date.now());
+  res.json({
+    max: ZONE_CORRUPTION.max,
+    zones: zoneMap.snapshot().map((z) => {
+      const occupant = zoneOccupant(z.zone);
+      return {
+        ...z,
+        activeThreat: occupant ? { instanceId: occupant.instanceId, name: occupant.name } : null,
+        cooldownUntil: cooldowns[z.zone] || null,
+        corruption: round2(z.corruption),
+        effects: {
+          spawnWeightMultiplier: round2(z.effects.spawnWeightMultiplier),
+          difficultyBonus: z.effects.difficultyBonus,
+          drainMultiplier: round2(z.effects.drainMultiplier),
+        },
+      };
+    }),
+  });
+});
+
+// ---------------- Season endpoints ----------------
+function resolveSeasonId(id) {
+  if (id === "current") return seasons.currentSeason(Date.now())?.id || null;
+  return seasons.hasSeason(id) ? id : null;
+}
+
+app.get("/seasons", (_req, res) => {
+  res.json({
+    current: seasons.currentSeason(Date.now()),
+    seasons: seasons.seasons(),
+  });
+});
+
+// :seasonId is a season id, "current" or "all-time".
+// ?by=powerSeconds|clears|threatsJoined|expirations|casualties &zone= | &theme= &limit=
+app.get("/seasons/:seasonId/leaderboard", (req, res) => {
+  const seasonId = resolveSeasonId(req.params.seasonId);
+  if (!seasonId) return res.status(404).json({ error: "Unknown season." });
+  const { by = "powerSeconds", zone, theme, limit } = req.query;
+  if (!seasons.LEADERBOARD_METRICS.includes(by)) {
+    return res.status(400).json({ error: `by must be one of ${seasons.LEADERBOARD_METRICS.join(", ")}` });
+  }
+  if (zone && theme) return res.status(400).json({ error: "Filter by zone or theme, not both." });
+  if (zone && !ZONES.includes(zone)) return res.status(400).json({ error: "Unknown zone." });
+  if (theme && !THEMES.includes(theme)) return res.status(400).json({ error: "Unknown theme." });
+
+  const rows = seasons.leaderboard(seasonId, { by, zone, theme, limit });
+  res.json({
+    seasonId,
+    by,
+    zone: zone || null,
+    theme: theme || null,
+    rows: rows.map((r) => ({ ...r, powerSeconds: round2(r.powerSeconds) })),
+  });
+});
+
+// Every archived threat the director joined, newest first. ?seasonId= &limit= (default 50) &offset=
+app.get("/players/:playerId/history", (req, res) => {
+  const { playerId } = req.params;
+  let entries = seasons.history(playerId);
+  let seasonId = seasons.ALL_TIME;
+  if (req.query.seasonId) {
+    seasonId = resolveSeasonId(String(req.query.seasonId));
+    if (!seasonId) return res.status(404).json({ error: "Unknown season." });
+    const season = seasons.seasons().find((s) => s.id === seasonId);
+    if (season) entries = entries.filter((e) => e.endedAt >= season.startsAt && e.endedAt < season.endsAt);
+  }
+  const limit = Math.max(1, Math.min(500, toNum(req.query.limit, 50)));
+  const offset = Math.max(0, toNum(req.query.offset, 0));
+  const totals = seasons.playerAggregate(seasonId, playerId);
+
+  res.json({
+    playerId,
+    seasonId,
+    totals: totals ? { ...totals, powerSeconds: round2(totals.powerSeconds) } : null,
+    count: entries.length,
+    entries: entries.slice(offset, offset + limit).map((e) => ({
+      ...e,
+      contribution: round2(e.contribution),
+      share: round2(e.share * 100), // percent
+    })),
+  });
+});
+
 // ---------------- Admin endpoints ----------------
-app.post("/world-threats/admin/finish", (_req, res) => {
-  if (!activeThreat) return res.status(400).json({ error: "No active threat." });
-  activeThreat.progress = 100;
-  activeThreat.status = "cleared";
-  endActiveThreat("cleared");
+// /admin/:instanceId/finish, or /admin/finish with body.instanceId (optional while one threat is active)
+app.post(
+  ["/world-threats/admin/finish", "/world-threats/admin/:instanceId/finish"],
+  adminAuth.guard("operator", "finish"),
+  (req, res) => {
+    const t = resolveActiveThreat(res, req.params.instanceId || req.body?.instanceId);
+    if (!t) return;
+    t.progress = 100;
+    t.status = "cleared";
+    t.endedBy = "admin";
+    res.locals.auditDetails = { instanceId: t.instanceId };
+    endThreat(t, "cleared");
+    res.json({ ok: true });
+  }
+);
+
+// Replace a threat with a fresh rotation pick (its zone skips the cooldown).
+// With no threat active this just spawns one.
+app.post(
+  ["/world-threats/admin/cycle", "/world-threats/admin/:instanceId/cycle"],
+  adminAuth.guard("operator", "cycle"),
+  (req, res) => {
+    const instanceId = req.params.instanceId || req.body?.instanceId;
+    let previous = null;
+    if (instanceId || activeThreats.size) {
+      previous = resolveActiveThreat(res, instanceId);
+      if (!previous) return;
+    }
+    if (previous) {
+      previous.status = "expired";
+      previous.endedBy = "admin";
+      endThreat(previous, "expired");
+      delete zoneCooldowns[previous.zone]; // ignore the cooldown for this action
+    }
+    const inst = spawnThreat(null, "admin");
+    if (!inst) {
+      return res.status(409).json({ error: "No template is eligible to spawn." });
+    }
+    res.locals.auditDetails = { previousInstanceId: previous?.instanceId || null, instanceId: inst.instanceId };
+    res.json({ ok: true, instanceId: inst.instanceId });
+  }
+);
+
+// Both forms of a per-threat admin route: /admin/:instanceId/<op>, or /admin/<op> with
+// body.instanceId (optional while one threat is active)
+function adminThreatPaths(op) {
+  return [`/world-threats/admin/${op}`, `/world-threats/admin/:instanceId/${op}`];
+}
+
+function adminThreat(req, res) {
+  return resolveActiveThreat(res, req.params.instanceId || req.body?.instanceId);
+}
+
+// Freeze drain, progress and expiry until resumed
+app.post(adminThreatPaths("pause"), adminAuth.guard("operator", "pause"), (req, res) => {
+  const t = adminThreat(req, res);
+  if (!t) return;
+  const result = adminConsole.pause(t, Date.now(), req.admin.name);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.locals.auditDetails = { instanceId: t.instanceId };
+  persistState(true);
+  stream.publish("paused", { instanceId: t.instanceId, pausedAt: result.pausedAt });
+  res.json({ ...result, threat: decorateThreat(t) });
+});
+
+app.post(adminThreatPaths("resume"), adminAuth.guard("operator", "resume"), (req, res) => {
+  const t = adminThreat(req, res);
+  if (!t) return;
+  const result = adminConsole.resume(t, Date.now());
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.locals.auditDetails = { instanceId: t.instanceId, pausedSeconds: result.pausedSeconds };
+  persistState(true);
+  stream.publish("resumed", { instanceId: t.instanceId, expiresAt: t.expiresAt });
+  res.json({ ...result, threat: decorateThreat(t) });
+});
+
+// Body: { expiresAt: ISO timestamp } or { extendMinutes } (negative shortens)
+app.post(adminThreatPaths("expiry"), adminAuth.guard("operator", "setExpiry"), (req, res) => {
+  const t = adminThreat(req, res);
+  if (!t) return;
+  const result = adminConsole.setExpiry(t, req.body || {}, Date.now());
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.locals.auditDetails = { instanceId: t.instanceId, from: result.from, to: result.to };
+  persistState(true);
+  stream.publish("threatAdjusted", { instanceId: t.instanceId, field: "expiresAt", from: result.from, to: result.to });
+  res.json({ ...result, threat: decorateThreat(t) });
+});
+
+// Body: { progress } in percent
+app.post(adminThreatPaths("progress"), adminAuth.guard("operator", "setProgress"), (req, res) => {
+  const t = adminThreat(req, res);
+  if (!t) return;
+  const result = adminConsole.setProgress(t, req.body?.progress);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.locals.auditDetails = { instanceId: t.instanceId, from: round2(result.from), to: result.to };
+  persistState(true);
+  stream.publish("threatAdjusted", {
+    instanceId: t.instanceId,
+    field: "progress",
+    from: round2(result.from),
+    to: result.to,
+  });
+  res.json({ ...result, threat: decorateThreat(t) });
+});
+
+// Body: { playerId, ban?: boolean, reason? }. The director's agents go to rest with their
+// drained state; a ban also keeps them out of this threat until lifted
+app.post(adminThreatPaths("kick"), adminAuth.guard("operator", "kickPlayer"), (req, res) => {
+  const { playerId, ban, reason } = req.body || {};
+  if (!playerId) return res.status(400).json({ error: "Missing playerId" });
+  if (ban !== undefined && typeof ban !== "boolean") return res.status(400).json({ error: "ban must be a boolean." });
+  const t = adminThreat(req, res);
+  if (!t) return;
+  const result = adminConsole.kick(t, playerId, { ban, reason, by: req.admin.name }, Date.now());
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.locals.auditDetails = { instanceId: t.instanceId, playerId: result.playerId, banned: result.banned };
+  persistState(true);
+  stream.publish("playerKicked", { instanceId: t.instanceId, playerId: result.playerId, banned: result.banned });
+  res.json({ ...result, threat: decorateThreat(t) });
+});
+
+app.delete(
+  "/world-threats/admin/:instanceId/bans/:playerId",
+  adminAuth.guard("operator", "unbanPlayer"),
+  (req, res) => {
+    const t = resolveActiveThreat(res, req.params.instanceId);
+    if (!t) return;
+    const result = adminConsole.unban(t, req.params.playerId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.locals.auditDetails = { instanceId: t.instanceId, playerId: result.playerId };
+    persistState(true);
+    res.json(result);
+  }
+);
+
+// Body: { templateId }. Spawns right away, past maxActiveThreats and the zone cooldown,
+// as long as the template's zone has no active threat
+app.post("/world-threats/admin/spawn", adminAuth.guard("operator", "spawnTemplate"), (req, res) => {
+  const { templateId } = req.body || {};
+  const tmpl = templateId ? templateRegistry.get(String(templateId)) : null;
+  if (!tmpl) return res.status(400).json({ error: "Unknown templateId." });
+  const occupant = zoneOccupant(tmpl.zone);
+  if (occupant) {
+    const error = `${tmpl.zone} already has an active threat.`;
+    return res.status(409).json({ error, instanceId: occupant.instanceId });
+  }
+  const inst = spawnThreat(tmpl, "admin");
+  res.locals.auditDetails = { templateId: tmpl.id, instanceId: inst.instanceId };
+  res.status(201).json({ ok: true, instanceId: inst.instanceId, threat: decorateThreat(inst) });
+});
+
+function describeCooldowns(nowMs) {
+  return {
+    zones: describeZoneCooldowns(nowMs),
+    nextRotationSpawnAt: nextRotationSpawnMs > nowMs ? new Date(nextRotationSpawnMs).toISOString() : null,
+    zoneCooldownMinutes: CONCURRENCY.zoneCooldownMinutes,
+    rotationGapMinutes: CONCURRENCY.rotationGapMinutes,
+  };
+}
+
+app.get("/world-threats/admin/cooldowns", adminAuth.guard("readonly"), (_req, res) => {
+  res.json(describeCooldowns(Date.now()));
+});
+
+// Body: { zone, minutes } sets that zone's cooldown from now (0 lifts it) and/or
+// { rotationMinutes } sets when the rotation may spawn next
+app.post("/world-threats/admin/cooldowns", adminAuth.guard("operator", "setCooldown"), (req, res) => {
+  const { zone, minutes, rotationMinutes } = req.body || {};
+  const max = ADMIN_CONSOLE.maxCooldownMinutes;
+  const validMinutes = (m) => typeof m === "number" && Number.isFinite(m) && m >= 0 && m <= max;
+  if (zone === undefined && rotationMinutes === undefined) {
+    return res.status(400).json({ error: "Provide zone and minutes, and/or rotationMinutes." });
+  }
+  if (zone !== undefined) {
+    if (!ZONES.includes(zone)) return res.status(400).json({ error: `zone must be one of ${ZONES.join(", ")}` });
+    if (!validMinutes(minutes)) return res.status(400).json({ error: `minutes must be a number from 0 to ${max}.` });
+    const occupant = zoneOccupant(zone);
+    if (occupant) {
+      return res.status(409).json({
+        error: "Zone has an active threat; its cooldown starts when the threat ends.",
+        instanceId: occupant.instanceId,
+      });
+    }
+  }
+  if (rotationMinutes !== undefined && !validMinutes(rotationMinutes)) {
+    return res.status(400).json({ error: `rotationMinutes must be a number from 0 to ${max}.` });
+  }
+
+  const now = Date.now();
+  if (zone !== undefined) {
+    if (minutes > 0) zoneCooldowns[zone] = now + minutes * 60000;
+    else delete zoneCooldowns[zone];
+    const cooldownUntil = minutes > 0 ? new Date(zoneCooldowns[zone]).toISOString() : null;
+    stream.publish("cooldownChanged", { zone, cooldownUntil });
+  }
+  if (rotationMinutes !== undefined) nextRotationSpawnMs = now + rotationMinutes * 60000;
+  const view = describeCooldowns(now);
+  res.locals.auditDetails = {
+    ...(zone !== undefined ? { zone, cooldownUntil: view.zones[zone] || null } : {}),
+    ...(rotationMinutes !== undefined ? { nextRotationSpawnAt: view.nextRotationSpawnAt } : {}),
+  };
+  persistState(true);
+  res.json(view);
+});
+
+// Upcoming scheduled spawns (public so the client can announce events)
+app.get("/world-threats/schedule", (_req, res) => {
+  res.json(
+    spawnDirector.upcoming().map((e) => {
+      const tmpl = templateRegistry.get(e.templateId);
+      return {
+        id: e.id,
+        templateId: e.templateId,
+        name: tmpl?.name || null,
+        zone: tmpl?.zone || null,
+        difficulty: tmpl?.difficulty ?? null,
+        at: e.at,
+        note: e.note,
+        delayed: Boolean(e.delayedBy),
+        blockedBy: e.delayedBy || null,
+        delayedSince: e.delayedSince || null,
+      };
+    })
+  );
+});
+
+// Body: { templateId, at: ISO timestamp, note? }
+app.post("/world-threats/admin/schedule", adminAuth.guard("operator", "scheduleSpawn"), (req, res) => {
+  const { templateId, at, note } = req.body || {};
+  if (!templateId || !templateRegistry.get(String(templateId))) {
+    return res.status(400).json({ error: "Unknown templateId." });
+  }
+  const atMs = new Date(at).getTime();
+  if (!at || !Number.isFinite(atMs)) {
+    return res.status(400).json({ error: "at must be an ISO timestamp." });
+  }
+  if (atMs < Date.now() - 60000) {
+    return res.status(400).json({ error: "at is in the past." });
+  }
+  const entry = spawnDirector.addScheduled({
+    templateId: String(templateId),
+    at: atMs,
+    note,
+    createdBy: req.admin.name,
+  });
+  res.locals.auditDetails = { scheduleId: entry.id };
+  persistState(true);
+  res.status(201).json(entry);
+});
+
+app.delete("/world-threats/admin/schedule/:id", adminAuth.guard("operator", "unscheduleSpawn"), (req, res) => {
+  if (!spawnDirector.removeScheduled(req.params.id)) {
+    return res.status(404).json({ error: "No scheduled spawn with that id." });
+  }
+  persistState(true);
   res.json({ ok: true });
 });
 
-app.post("/world-threats/admin/cycle", (_req, res) => {
-  if (activeThreat) {
-    activeThreat.status = "expired";
-    endActiveThreat("expired");
+// Rotation state: recent spawns and the weights the next draw would use
+app.get("/world-threats/admin/spawn-director", adminAuth.guard("readonly"), (_req, res) => {
+  res.json({
+    history: spawnDirector.history(),
+    next: spawnDirector.weights(templateRegistry.all(), Date.now(), { blockedZones: blockedZones(Date.now()) }),
+  });
+});
+
+// Templates currently loaded
+app.get("/world-threats/admin/templates", adminAuth.guard("readonly"), (_req, res) => {
+  res.json({
+    dir: templateRegistry.dir,
+    loadedAt: templateRegistry.loadedAt,
+    templates: templateRegistry.all(),
+  });
+});
+
+// Re-read the template directory. Invalid files leave the current templates in place;
+// running threats keep their own snapshot either way.
+app.post("/world-threats/admin/templates/reload", adminAuth.guard("operator", "reloadTemplates"), (_req, res) => {
+  const result = templateRegistry.reload();
+  res.locals.auditDetails = result.ok ? { count: result.count } : { errors: result.errors.length };
+  if (!result.ok) return res.status(422).json({ error: "Template validation failed.", errors: result.errors });
+  res.json(result);
+});
+
+// Body: { id, name?, startsAt, endsAt } — threats already in player histories are counted in
+app.post("/world-threats/admin/seasons", adminAuth.guard("operator", "createSeason"), (req, res) => {
+  const result = seasons.addSeason(req.body || {});
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.locals.auditDetails = { seasonId: result.season.id };
+  persistState(true);
+  res.status(201).json(result.season);
+});
+
+app.delete("/world-threats/admin/seasons/:id", adminAuth.guard("operator", "deleteSeason"), (req, res) => {
+  if (!seasons.removeSeason(req.params.id)) {
+    return res.status(404).json({ error: "No season with that id." });
   }
-  cooldownUntilMs = 0; // ignore cooldown for this action
-  spawnThreat();
-  res.json({ ok: true, instanceId: activeThreat.instanceId });
+  res.locals.auditDetails = { seasonId: req.params.id };
+  persistState(true);
+  res.json({ ok: true });
 });
 
-app.listen(PORT, () => {
+// Audit trail, newest first. Filters: ?actor=&action=&limit=
+app.get("/world-threats/admin/audit", adminAuth.guard("readonly"), (req, res) => {
+  const { actor, action, limit } = req.query;
+  res.json(adminAuth.queryAudit({ actor, action, limit }));
+});
+
+// Requests refused for missing or bad credentials, one entry per IP. ?limit=
+app.get("/world-threats/admin/audit/refused", adminAuth.guard("readonly"), (req, res) => {
+  res.json(adminAuth.queryRefused({ limit: req.query.limit }));
+});
+
+// Refused or clamped agent snapshots, newest first. Filters: ?playerId=&agentId=&outcome=&code=&limit=
+app.get("/world-threats/admin/anticheat", adminAuth.guard("readonly"), (req, res) => {
+  const { playerId, agentId, outcome, code, limit } = req.query;
+  res.json(snapshotGuard.queryLog({ playerId, agentId, outcome, code, limit }));
+});
+
+const server = app.listen(PORT, () => {
   console.log(`World Threat server listening on port ${PORT}`);
 });
+stream.attachWebSocket(server, "/world-threats/ws");
+
+// Flush the latest state before the process goes away
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.on(sig, () => {
+    try {
+      storage.saveSync(snapshotState());
+    } catch (err) {
+      console.error("Failed to persist world threat state:", err);
+    }
+    process.exit(0);
+  });
+}
@@ -0,0 +1,259 @@
+// simulate.js
+// Offline balance simulator: runs the live tick logic (worldThreatEngine.js) with a
+// fake clock and seeded incident RNG against roster files, and reports per
+// template / difficulty / roster:
+// - clear and expire rates, time-to-clear (mean and median), final progress
+// - agent death rate
+// - contribution spread (top director's share and Gini coefficient)
+//
+// Usage:
+//   node simulate.js [--rosters sim/rosters] [--templates wt_re,wt_ito] [--difficulties 3,6,10]
+//                    [--runs 5] [--step 5] [--seed sim] [--no-incidents]
+//                    [--set primaryWeight=1.5 --set easyScalar=0.12]
+//                    [--format table|csv|json] [--out results.csv]
+//
+// Roster files (JSON or YAML): { name, players: [{ playerId, directorName, repeat?, agents: [...] }] }
+// `repeat: N` clones a director N times. --difficulties overrides each template's
+// difficulty (phases that set their own difficulty still use it). --set takes any
+// BALANCE key from worldThreatConfig.js, e.g. --set primaryWeight=1.5 reproduces
+// the hand-edited experiment in "server - kopia.js".
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const { BALANCE, createThreatInstance } = require(path.join(__dirname, "worldThreatConfig"));
+const { loadTemplateDir } = require(path.join(__dirname, "worldThreatTemplates"));
+const { sanitizeAgentSnapshot, prepareInstance, createEngine } = require(path.join(__dirname, "worldThreatEngine"));
+
+const SIM_EPOCH_MS = Date.UTC(2025, 0, 1);
+
+// ----------------- CLI -----------------
+function parseArgs(argv) {
+  const opts = {
+    rosters: [],
+    templates: null,
+    difficulties: null,
+    runs: 5,
+    step: 5,
+    seed: "sim",
+    incidents: true,
+    overrides: {},
+    format: "table",
+    out: null,
+    templatesDir: path.join(__dirname, "threats"),
+  };
+  const list = (v) => String(v).split(",").map((s) => s.trim()).filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === "--rosters") opts.rosters.push(next());
+    else if (arg === "--templates") opts.templates = list(next());
+    else if (arg === "--templates-dir") opts.templatesDir = next();
+    else if (arg === "--difficulties") opts.difficulties = list(next()).map(Number);
+    else if (arg === "--runs") opts.runs = Number(next());
+    else if (arg === "--step") opts.step = Number(next());
+    else if (arg === "--seed") opts.seed = next();
+    else if (arg === "--no-incidents") opts.incidents = false;
+    else if (arg === "--format") opts.format = next();
+    else if (arg === "--out") opts.out = next();
+    else if (arg === "--set") {
+      const [key, value] = next().split("=");
+      if (!(key in BALANCE)) throw new Error(`Unknown balance key "${key}". Known: ${Object.keys(BALANCE).join(", ")}`);
+      if (!Number.isFinite(Number(value))) throw new Error(`--set ${key} needs a number`);
+      opts.overrides[key] = Number(value);
+    } else if (arg === "--help" || arg === "-h") {
+      opts.help = true;
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+
+  if (!opts.rosters.length) opts.rosters.push(path.join(__dirname, "sim", "rosters"));
+  if (!Number.isInteger(opts.runs) || opts.runs < 1) throw new Error("--runs must be a positive integer");
+  if (!(opts.step > 0)) throw new Error("--step must be a positive number of seconds");
+  if (opts.difficulties && opts.difficulties.some((d) => !Number.isInteger(d) || d < 1 || d > 10)) {
+    throw new Error("--difficulties must be whole numbers from 1 to 10");
+  }
+  if (!["table", "csv", "json"].includes(opts.format)) throw new Error("--format must be table, csv or json");
+  return opts;
+}
+
+// ----------------- Rosters -----------------
+function readRosterFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const data = path.extname(file) === ".json" ? JSON.parse(raw) : YAML.parse(raw);
+  if (!data || !Array.isArray(data.players)) throw new Error(`${file}: roster needs a players list`);
+
+  const bundles = [];
+  data.players.forEach((p, i) => {
+    const repeat = Math.max(1, Number(p.repeat) || 1);
+    for (let r = 0; r < repeat; r++) {
+      const suffix = repeat > 1 ? `-${r + 1}` : "";
+      const playerId = `${p.playerId || `player${i + 1}`}${suffix}`;
+      bundles.push({
+        playerId,
+        directorName: `${p.directorName || playerId}${suffix}`,
+        agents: (p.agents || []).slice(0, 3).map((a) => sanitizeAgentSnapshot({ ...a, agentId: `${a.agentId}${suffix}` })),
+      });
+    }
+  });
+  return { name: data.name || path.basename(file, path.extname(file)), bundles };
+}
+
+function loadRosters(targets) {
+  const files = [];
+  targets.forEach((target) => {
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target)
+        .filter((f) => [".json", ".yaml", ".yml"].includes(path.extname(f)))
+        .sort()
+        .forEach((f) => files.push(path.join(target, f)));
+    } else {
+      files.push(target);
+    }
+  });
+  return files.map(readRosterFile);
+}
+
+// ----------------- Simulation -----------------
+function gini(values) {
+  const xs = values.filter((v) => v >= 0).sort((a, b) => a - b);
+  const n = xs.length;
+  const sum = xs.reduce((s, v) => s + v, 0);
+  if (n < 2 || sum <= 0) return 0;
+  let weighted = 0;
+  xs.forEach((v, i) => {
+    weighted += (i + 1) * v;
+  });
+  return (2 * weighted) / (n * sum) - (n + 1) / n;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const xs = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(xs.length / 2);
+  return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+}
+
+/** One threat from spawn to clear/expire with the roster assigned at spawn */
+function simulateRun(engine, template, roster, { seed, stepSec, incidents, runIndex }) {
+  const inst = createThreatInstance(template, new Date(SIM_EPOCH_MS));
+  inst.instanceId = `sim-${template.id}-d${template.difficulty}-${roster.name}-${runIndex}`;
+  prepareInstance(inst, seed);
+  if (!incidents) inst.incidentsPerHour = 0;
+  inst.assignedAgents = roster.bundles.map((b) => ({ ...b, agents: b.agents.map((a) => ({ ...a })) }));
+
+  const agentCount = roster.bundles.reduce((sum, b) => sum + b.agents.length, 0);
+  let now = SIM_EPOCH_MS;
+  for (;;) {
+    const next = now + stepSec * 1000;
+    const step = engine.advanceThreat(inst, now, next);
+    now = next;
+    if (step.cleared || step.expired) {
+      const totals = Object.values(inst.contributions.totals);
+      const grand = totals.reduce((s, v) => s + v, 0);
+      return {
+        outcome: step.cleared ? "cleared" : "expired",
+        seconds: (step.simEnd - SIM_EPOCH_MS) / 1000,
+        finalProgress: inst.progress,
+        deaths: inst.casualties.length,
+        agentCount,
+        topShare: grand > 0 ? Math.max(...totals) / grand : 0,
+        gini: gini(totals),
+      };
+    }
+  }
+}
+
+function summarize(template, difficulty, roster, runs) {
+  const cleared = runs.filter((r) => r.outcome === "cleared");
+  const avg = (xs) => (xs.length ? xs.reduce((s, v) => s + v, 0) / xs.length : null);
+  const agents = runs.reduce((s, r) => s + r.agentCount, 0);
+  const round = (v, dp = 3) => (v === null ? null : Number(v.toFixed(dp)));
+  return {
+    templateId: template.id,
+    difficulty,
+    roster: roster.name,
+    runs: runs.length,
+    clearRate: round(cleared.length / runs.length),
+    expireRate: round((runs.length - cleared.length) / runs.length),
+    avgTimeToClearMin: round(avg(cleared.map((r) => r.seconds / 60)), 1),
+    medianTimeToClearMin: round(median(cleared.map((r) => r.seconds / 60)), 1),
+    avgFinalProgress: round(avg(runs.map((r) => r.finalProgress)), 1),
+    agentDeathRate: round(agents ? runs.reduce((s, r) => s + r.deaths, 0) / agents : 0),
+    avgTopShare: round(avg(runs.map((r) => r.topShare))),
+    avgGini: round(avg(runs.map((r) => r.gini))),
+  };
+}
+
+// ----------------- Output -----------------
+function toCsv(rows) {
+  if (!rows.length) return "";
+  const cols = Object.keys(rows[0]);
+  const cell = (v) => (v === null ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return [cols.join(","), ...rows.map((r) => cols.map((c) => cell(r[c])).join(","))].join("\n") + "\n";
+}
+
+function toTable(rows) {
+  if (!rows.length) return "(no results)\n";
+  const cols = Object.keys(rows[0]);
+  const text = rows.map((r) => cols.map((c) => (r[c] === null ? "-" : String(r[c]))));
+  const widths = cols.map((c, i) => Math.max(c.length, ...text.map((t) => t[i].length)));
+  const line = (cells) => cells.map((v, i) => v.padEnd(widths[i])).join("  ");
+  return [line(cols), line(widths.map((w) => "-".repeat(w))), ...text.map(line)].join("\n") + "\n";
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(fs.readFileSync(__filename, "utf8").split("\n\n")[0].replace(/^\/\/ ?/gm, ""));
+    return;
+  }
+
+  const { templates, errors } = loadTemplateDir(opts.templatesDir);
+  if (errors.length) throw new Error(`Invalid threat templates:\n  - ${errors.join("\n  - ")}`);
+  const selected = opts.templates ? templates.filter((t) => opts.templates.includes(t.id)) : templates;
+  if (!selected.length) throw new Error("No templates selected");
+  const rosters = loadRosters(opts.rosters);
+
+  const engine = createEngine(opts.overrides);
+  const rows = [];
+  for (const base of selected) {
+    for (const difficulty of opts.difficulties || [base.difficulty]) {
+      const template = { ...base, difficulty };
+      for (const roster of rosters) {
+        const runs = [];
+        for (let i = 0; i < opts.runs; i++) {
+          runs.push(simulateRun(engine, template, roster, {
+            seed: opts.seed,
+            stepSec: opts.step,
+            incidents: opts.incidents,
+            runIndex: i,
+          }));
+        }
+        rows.push(summarize(template, difficulty, roster, runs));
+      }
+    }
+  }
+
+  const output =
+    opts.format === "json"
+      ? JSON.stringify({ balance: engine.balance, seed: opts.seed, stepSec: opts.step, results: rows }, null, 2) + "\n"
+      : opts.format === "csv"
+        ? toCsv(rows)
+        : toTable(rows);
+  if (opts.out) fs.writeFileSync(opts.out, output);
+  else process.stdout.write(output);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,190 @@
+// backend/worldThreatAdminAuth.js
+// Admin authentication, roles and audit trail for /world-threats/admin/*.
+//
+// Credentials come from the environment as comma-separated "name:role:secret" triples:
+//   WORLD_THREAT_ADMIN_KEYS          plain API keys, sent as "X-Admin-Key: <secret>"
+//                                    or "Authorization: Bearer <secret>"
+//   WORLD_THREAT_ADMIN_HMAC_SECRETS  HMAC signing secrets; requests carry
+//                                    X-Admin-Key-Id: <name>
+//                                    X-Admin-Timestamp: <unix seconds>
+//                                    X-Admin-Signature: hex HMAC-SHA256(secret,
+//                                      "<timestamp>.<METHOD>.<originalUrl>.<raw body>")
+//                                    Each signature is accepted once (replays within the
+//                                    timestamp window are refused).
+// Roles: "operator" (may change state) > "readonly" (may only read admin data).
+// With no credentials configured every admin route is refused.
+// The audit log only holds requests made with valid credentials; attempts without them
+// are counted per IP in a separate bounded log, so they can't push real entries out.
+
+const crypto = require("crypto");
+
+const ROLE_RANK = { readonly: 1, operator: 2 };
+const AUDIT_LOG_LIMIT = 5000;
+const REFUSED_IP_LIMIT = 1000;
+const DEFAULT_MAX_SKEW_SEC = 300;
+
+function parseCredentials(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, role, ...rest] = entry.split(":");
+      const secret = rest.join(":"); // secrets may contain ':'
+      if (!name || !secret || !ROLE_RANK[role]) {
+        throw new Error(`Invalid admin credential "${name || entry}": expected name:role:secret with role operator|readonly`);
+      }
+      return { name, role, secret };
+    });
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest();
+}
+
+// Compare digests so unequal lengths don't leak through timingSafeEqual throwing
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function createAdminAuth({ apiKeys = [], hmacSecrets = [], maxSkewSec = DEFAULT_MAX_SKEW_SEC } = {}) {
+  let auditLog = [];
+  let auditSeq = 0;
+  let refused = new Map(); // ip -> { ip, count, firstAt, lastAt, lastPath, lastError }
+  const seenSignatures = new Map(); // signature -> ms it leaves the timestamp window
+
+  function authenticateApiKey(req) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+    const presented = req.get("X-Admin-Key") || (bearer && bearer[1]);
+    if (!presented) return null;
+    const match = apiKeys.find((k) => safeEqual(k.secret, presented));
+    return match ? { name: match.name, role: match.role, method: "api-key" } : { error: "Invalid admin key." };
+  }
+
+  function authenticateHmac(req) {
+    const keyId = req.get("X-Admin-Key-Id");
+    const signature = req.get("X-Admin-Signature");
+    if (!keyId || !signature) return null;
+
+    const cred = hmacSecrets.find((k) => k.name === keyId);
+    if (!cred) return { error: "Unknown admin key id." };
+
+    const ts = Number(req.get("X-Admin-Timestamp"));
+    if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > maxSkewSec) {
+      return { error: "Stale or missing X-Admin-Timestamp." };
+    }
+    const payload = `${req.get("X-Admin-Timestamp")}.${req.method}.${req.originalUrl}.${req.rawBody || ""}`;
+    const expected = crypto.createHmac("sha256", cred.secret).update(payload).digest("hex");
+    if (!safeEqual(expected, String(signature).toLowerCase())) {
+      return { error: "Invalid admin signature." };
+    }
+
+    const nowMs = Date.now();
+    seenSignatures.forEach((until, sig) => {
+      if (until <= nowMs) seenSignatures.delete(sig);
+    });
+    if (seenSignatures.has(expected)) return { error: "Admin signature was already used." };
+    seenSignatures.set(expected, (ts + maxSkewSec) * 1000);
+    return { name: cred.name, role: cred.role, method: "hmac" };
+  }
+
+  function record(entry) {
+    const full = { id: ++auditSeq, at: new Date().toISOString(), ...entry };
+    auditLog.push(full);
+    if (auditLog.length > AUDIT_LOG_LIMIT) {
+      auditLog = auditLog.slice(auditLog.length - AUDIT_LOG_LIMIT);
+    }
+    return full;
+  }
+
+  // One rolling entry per IP for requests without valid credentials
+  function recordRefused(req, error) {
+    const at = new Date().toISOString();
+    const ip = String(req.ip || "unknown");
+    const entry = refused.get(ip) || { ip, count: 0, firstAt: at };
+    refused.delete(ip); // re-insert so the map stays ordered by last attempt
+    refused.set(ip, { ...entry, count: entry.count + 1, lastAt: at, lastPath: req.originalUrl, lastError: error });
+    if (refused.size > REFUSED_IP_LIMIT) refused.delete(refused.keys().next().value);
+  }
+
+  /**
+   * Express middleware requiring at least `role`.
+   * When `action` is given the request is written to the audit log once the
+   * response is sent. Requests without valid credentials (401) only count toward
+   * the per-IP refused log (queryRefused); an authenticated admin refused for their
+   * role (403) is audited.
+   */
+  function guard(role, action) {
+    return (req, res, next) => {
+      const who = authenticateHmac(req) || authenticateApiKey(req);
+      const base = { action: action || null, method: req.method, path: req.originalUrl, ip: req.ip };
+
+      if (!who || who.error) {
+        const error = who ? who.error : "Admin credentials required.";
+        recordRefused(req, error);
+        return res.status(401).json({ error });
+      }
+      if (ROLE_RANK[who.role] < ROLE_RANK[role]) {
+        const error = `Role "${who.role}" may not perform this action.`;
+        record({ ...base, actor: who.name, role: who.role, status: 403, error });
+        return res.status(403).json({ error });
+      }
+
+      req.admin = who;
+      if (action) {
+        res.on("finish", () => {
+          record({
+            ...base,
+            actor: who.name,
+            role: who.role,
+            status: res.statusCode,
+            body: req.body && Object.keys(req.body).length ? req.body : undefined,
+            details: res.locals.auditDetails,
+          });
+        });
+      }
+      next();
+    };
+  }
+
+  // Newest first, optionally filtered by actor/action and bounded by limit
+  function queryAudit({ actor, action, limit = 100 } = {}) {
+    const max = Math.max(1, Math.min(AUDIT_LOG_LIMIT, Number(limit) || 100));
+    const out = [];
+    for (let i = auditLog.length - 1; i >= 0 && out.length < max; i--) {
+      const e = auditLog[i];
+      if (actor && e.actor !== actor) continue;
+      if (action && e.action !== action) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  // Refused attempts per IP, most recent first
+  function queryRefused({ limit = 100 } = {}) {
+    const max = Math.max(1, Math.min(REFUSED_IP_LIMIT, Number(limit) || 100));
+    return [...refused.values()].reverse().slice(0, max);
+  }
+
+  return {
+    configured: apiKeys.length + hmacSecrets.length > 0,
+    guard,
+    record,
+    queryAudit,
+    queryRefused,
+    exportAudit: () => ({ seq: auditSeq, entries: auditLog, refused: [...refused.values()] }),
+    restoreAudit(saved) {
+      if (!saved || !Array.isArray(saved.entries)) return;
+      // Older saves kept refused attempts in the audit log itself
+      auditLog = saved.entries.filter((e) => e.actor !== null || e.status !== 401).slice(-AUDIT_LOG_LIMIT);
+      auditSeq = Number(saved.seq) || auditLog.length;
+      const refusedEntries = Array.isArray(saved.refused) ? saved.refused.slice(-REFUSED_IP_LIMIT) : [];
+      refused = new Map(refusedEntries.map((e) => [e.ip, e]));
+    },
+  };
+}
+
+module.exports = {
+  parseCredentials,
+  createAdminAuth,
+};
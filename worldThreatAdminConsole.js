@@ -0,0 +1,143 @@
+// backend/worldThreatAdminConsole.js
+// Live-ops changes to one active threat, each validated before it touches state.
+// - pause / resume: a paused threat doesn't tick (no drain, progress or incidents) and
+//   its clock stands still; resume moves lastTick, expiresAt, timed threat and agent
+//   modifiers, incident cooldowns and the support timers (action cooldowns, resting)
+//   forward by the pause, so nothing happens "during" it
+// - setExpiry: absolute expiresAt or extendMinutes (negative shortens), kept between
+//   minRemainingSeconds and maxRemainingHours from now (from the pause while paused)
+// - setProgress: 0 <= progress < 100, for objectives where progress isn't derived
+//   (not hold-outs or races); phase changes follow on the next tick
+// - kick: the director's bundle leaves (agents keep their drained state, like an
+//   unassign); ban also keeps them from coming back to this threat
+// Every function returns { ok: true, ... } or { status, error }.
+
+const DERIVED_PROGRESS_OBJECTIVES = ["holdout", "race"];
+
+function toNum(x, fallback = 0) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function createAdminConsole(config, support) {
+  function fail(status, error) {
+    return { status, error };
+  }
+
+  // Clock reading for the threat: frozen at pausedAt while paused
+  function clockOf(t, nowMs) {
+    return t.pausedAt ? new Date(t.pausedAt).getTime() : nowMs;
+  }
+
+  function shiftIso(iso, ms) {
+    return new Date(new Date(iso).getTime() + ms).toISOString();
+  }
+
+  function pause(t, nowMs, by) {
+    if (t.pausedAt) return fail(409, "Threat is already paused.");
+    t.pausedAt = new Date(nowMs).toISOString();
+    t.pausedBy = by || null;
+    return { ok: true, pausedAt: t.pausedAt };
+  }
+
+  function resume(t, nowMs) {
+    if (!t.pausedAt) return fail(409, "Threat is not paused.");
+    const ms = Math.max(0, nowMs - new Date(t.pausedAt).getTime());
+    t.lastTick = shiftIso(t.lastTick, ms);
+    t.expiresAt = shiftIso(t.expiresAt, ms);
+    const shiftModifiers = (mods) =>
+      (mods || []).map((m) => (m.expiresAt ? { ...m, expiresAt: shiftIso(m.expiresAt, ms) } : m));
+    t.statModifiers = shiftModifiers(t.statModifiers);
+    (t.assignedAgents || []).forEach((b) => {
+      b.agents = (b.agents || []).map((a) => ({ ...a, statModifiers: shiftModifiers(a.statModifiers) }));
+    });
+    support.shift(t, ms);
+    Object.keys(t.incidentLastAt || {}).forEach((id) => {
+      t.incidentLastAt[id] += ms;
+    });
+    t.pausedSeconds = toNum(t.pausedSeconds, 0) + ms / 1000; // hold-out timers start this much later
+    delete t.pausedAt;
+    delete t.pausedBy;
+    return { ok: true, pausedSeconds: Math.round(ms / 1000), expiresAt: t.expiresAt };
+  }
+
+  /** params: { expiresAt } (ISO) or { extendMinutes } */
+  function setExpiry(t, { expiresAt, extendMinutes } = {}, nowMs) {
+    const from = new Date(t.expiresAt).getTime();
+    let to;
+    if (expiresAt !== undefined) {
+      to = new Date(expiresAt).getTime();
+      if (!Number.isFinite(to)) return fail(400, "expiresAt must be an ISO timestamp.");
+    } else if (extendMinutes !== undefined) {
+      const minutes = Number(extendMinutes);
+      if (!Number.isFinite(minutes) || minutes === 0) return fail(400, "extendMinutes must be a non-zero number.");
+      to = from + minutes * 60000;
+    } else {
+      return fail(400, "Provide expiresAt or extendMinutes.");
+    }
+
+    const clock = clockOf(t, nowMs);
+    if (to - clock < config.minRemainingSeconds * 1000) {
+      return fail(400, `expiresAt must leave at least ${config.minRemainingSeconds}s; use finish to end the threat.`);
+    }
+    if (to - clock > config.maxRemainingHours * 3600000) {
+      return fail(400, `expiresAt can be at most ${config.maxRemainingHours}h away.`);
+    }
+    t.expiresAt = new Date(to).toISOString();
+    return { ok: true, from: new Date(from).toISOString(), to: t.expiresAt };
+  }
+
+  function setProgress(t, progress) {
+    const type = t.objective?.type || "progress";
+    if (DERIVED_PROGRESS_OBJECTIVES.includes(type)) {
+      return fail(409, `Progress of a ${type} threat follows its objective and can't be set.`);
+    }
+    const value = Number(progress);
+    if (progress === null || progress === "" || !Number.isFinite(value) || value < 0 || value >= 100) {
+      return fail(400, "progress must be a number from 0 to below 100; use finish to clear the threat.");
+    }
+    const from = toNum(t.progress, 0);
+    t.progress = value;
+    return { ok: true, from, to: value };
+  }
+
+  /** Pull a director off the threat; with ban they can't assign or swap back in */
+  function kick(t, playerId, { ban = false, reason = null, by = null } = {}, nowMs) {
+    const pid = String(playerId);
+    const agentIds = support.pullBundle(t, pid, nowMs);
+    if (!agentIds.length && !ban) return fail(404, "Player has no agents on this threat.");
+    if (ban) {
+      t.bannedPlayers = {
+        ...(t.bannedPlayers || {}),
+        [pid]: { at: new Date(nowMs).toISOString(), by, reason: reason ? String(reason).slice(0, 200) : null },
+      };
+    }
+    return { ok: true, playerId: pid, agentIds, banned: Boolean(ban) };
+  }
+
+  function unban(t, playerId) {
+    const pid = String(playerId);
+    if (!t.bannedPlayers?.[pid]) return fail(404, "Player is not banned from this threat.");
+    delete t.bannedPlayers[pid];
+    return { ok: true, playerId: pid };
+  }
+
+  function banOf(t, playerId) {
+    return t.bannedPlayers?.[String(playerId)] || null;
+  }
+
+  return {
+    clockOf,
+    pause,
+    resume,
+    setExpiry,
+    setProgress,
+    kick,
+    unban,
+    banOf,
+  };
+}
+
+module.exports = {
+  createAdminConsole,
+};
@@ -0,0 +1,149 @@
+// backend/worldThreatAgentRules.js
+// Server-side rules for which agents may join a threat.
+// - An agentId appears at most once per threat: not twice in one submission, not in
+//   another director's bundle or resting list
+// - An agent is active on one threat at a time: it can't join while it is in a bundle
+//   on another active threat (or resting there for another director)
+// - Downed agents are locked out for config.downedLockoutMinutes (across threats)
+// - checkAgents() returns structured violations ({ code, agentId, message, ... })
+//   the client can show next to the offending agent
+
+const VIOLATION_CODES = {
+  DUPLICATE_AGENT: "DUPLICATE_AGENT",
+  AGENT_IN_OTHER_BUNDLE: "AGENT_IN_OTHER_BUNDLE",
+  AGENT_ON_OTHER_THREAT: "AGENT_ON_OTHER_THREAT",
+  AGENT_LOCKED_OUT: "AGENT_LOCKED_OUT",
+  MISSING_AGENT_ID: "MISSING_AGENT_ID",
+};
+
+function createLockoutRegistry(config) {
+  let lockouts = {}; // agentId -> { agentId, playerId, instanceId, casualtyId, cause, lockedAt, until }
+
+  /** Lock the agent behind a casualty record */
+  function lockCasualty(casualty) {
+    const at = new Date(casualty.at).getTime();
+    const entry = {
+      agentId: casualty.agentId,
+      playerId: casualty.playerId,
+      instanceId: casualty.instanceId,
+      casualtyId: casualty.casualtyId,
+      cause: casualty.cause,
+      lockedAt: casualty.at,
+      until: new Date(at + config.downedLockoutMinutes * 60000).toISOString(),
+    };
+    lockouts[casualty.agentId] = entry;
+    return entry;
+  }
+
+  function activeFor(agentId, nowMs) {
+    const entry = lockouts[agentId];
+    if (!entry) return null;
+    if (new Date(entry.until).getTime() <= nowMs) {
+      delete lockouts[agentId];
+      return null;
+    }
+    return entry;
+  }
+
+  function forPlayer(playerId, nowMs) {
+    return Object.keys(lockouts)
+      .map((id) => activeFor(id, nowMs))
+      .filter((e) => e && e.playerId === String(playerId));
+  }
+
+  function prune(nowMs) {
+    Object.keys(lockouts).forEach((id) => activeFor(id, nowMs));
+  }
+
+  return {
+    lockCasualty,
+    activeFor,
+    forPlayer,
+    prune,
+    exportState: () => lockouts,
+    restoreState(saved) {
+      lockouts = saved && typeof saved === "object" ? saved : {};
+    },
+  };
+}
+
+/**
+ * Violations for `playerId` bringing `agents` (sanitized snapshots) onto threat `t`.
+ * Agents already in the player's own bundle or resting list are fine, and so are the
+ * player's own agents resting on one of `otherThreats` (they move over).
+ */
+function checkAgents(t, playerId, agents, { lockouts, nowMs, otherThreats = [] }) {
+  const pid = String(playerId);
+  const violations = [];
+  const seen = new Set();
+
+  const owners = new Map(); // agentId -> playerId, for every other director
+  (t.assignedAgents || []).forEach((b) => {
+    if (b.playerId !== pid) (b.agents || []).forEach((a) => owners.set(a.agentId, b.playerId));
+  });
+  Object.entries(t.support || {}).forEach(([owner, e]) => {
+    if (owner !== pid) (e.resting || []).forEach((a) => owners.set(a.agentId, owner));
+  });
+
+  const elsewhere = new Map(); // agentId -> instanceId of the other threat holding it
+  otherThreats.forEach((o) => {
+    (o.assignedAgents || []).forEach((b) =>
+      (b.agents || []).forEach((a) => elsewhere.set(a.agentId, o.instanceId))
+    );
+    Object.entries(o.support || {}).forEach(([owner, e]) => {
+      if (owner !== pid) (e.resting || []).forEach((a) => elsewhere.set(a.agentId, o.instanceId));
+    });
+  });
+
+  agents.forEach((a) => {
+    if (!a.agentId) {
+      violations.push({ code: VIOLATION_CODES.MISSING_AGENT_ID, agentId: null, message: "Every agent needs an agentId." });
+      return;
+    }
+    if (seen.has(a.agentId)) {
+      violations.push({
+        code: VIOLATION_CODES.DUPLICATE_AGENT,
+        agentId: a.agentId,
+        message: `${a.name || a.agentId} is listed more than once.`,
+      });
+      return;
+    }
+    seen.add(a.agentId);
+
+    if (owners.has(a.agentId)) {
+      violations.push({
+        code: VIOLATION_CODES.AGENT_IN_OTHER_BUNDLE,
+        agentId: a.agentId,
+        message: `${a.name || a.agentId} is already deployed by another director.`,
+      });
+      return;
+    }
+    if (elsewhere.has(a.agentId)) {
+      violations.push({
+        code: VIOLATION_CODES.AGENT_ON_OTHER_THREAT,
+        agentId: a.agentId,
+        message: `${a.name || a.agentId} is already deployed on another threat.`,
+        instanceId: elsewhere.get(a.agentId),
+      });
+      return;
+    }
+    const lock = lockouts.activeFor(a.agentId, nowMs);
+    if (lock) {
+      violations.push({
+        code: VIOLATION_CODES.AGENT_LOCKED_OUT,
+        agentId: a.agentId,
+        message: `${a.name || a.agentId} is recovering and can't deploy yet.`,
+        lockedUntil: lock.until,
+        retryAfterSeconds: Math.ceil((new Date(lock.until).getTime() - nowMs) / 1000),
+        cause: lock.cause,
+      });
+    }
+  });
+  return violations;
+}
+
+module.exports = {
+  VIOLATION_CODES,
+  createLockoutRegistry,
+  checkAgents,
+};
@@ -1,5 +1,8 @@
 // backend/worldThreatConfig.js
 
+const { sanitizeStatModifiers } = require("./worldThreatModifiers");
+const { createObjectiveState } = require("./worldThreatObjectives");
+
 // Base progress % per second per point of agent power.
 // Increased so each agent contributes more.
 const WORLD_THREAT_BASE_PROGRESS_RATE = 0.001;
@@ -8,232 +11,244 @@ const WORLD_THREAT_BASE_PROGRESS_RATE = 0.001;
 // 3 hours = 180 minutes
 const DEFAULT_LIFETIME_MINUTES = 180;
 
-/**
- * threatTemplates:
- *  - id MUST match the frontend WORLD_THREATS_LIBRARY id
- *  - difficulty: higher = slower progress for the same agents
- *  - lifetimeMinutes: how long before it expires if not cleared
- */
-const threatTemplates = [
-  {
-    id: "wt_ito",
-    name: "The Spiral's Embrace",
-    description:
-      "Intel from Kurouzu-cho, Japan, has ceased. Final fragmented reports spoke of a town obsessed... with spirals. This is not a localized hysteria; it's a memetic contagion warping reality. Your team must enter the town, find the epicenter of the curse, and break it before it consumes the entire continent.",
-    zone: "Asia",
-    theme: "JUNJI_ITO",
-    primaryStat: "Occultism",
-    skills: ["Psychology", "Research"],
-    difficulty: 8,
-    lifetimeMinutes: DEFAULT_LIFETIME_MINUTES, // 180
-  },
-  {
-    id: "wt_re",
-    name: "The Tyrant Hunt",
-    description:
-      "The advanced Tyrant specimen that escaped The Hive has been tracked to the Arklay Mountains. It's adapting, regenerating, and becoming more powerful. If it reaches a populated area, the results will be catastrophic. Intercept and neutralize it, permanently.",
-    zone: "North America",
-    theme: "RESIDENT_EVIL",
-    primaryStat: "Courage",
-    skills: ["Firearms", "Biology"],
-    difficulty: 9,
-    lifetimeMinutes: 150, // 2.5 hours – high pressure bio-weapon hunt
-  },
-  {
-    id: "wt_lovecraft",
-    name: "The Star-Spawn's Call",
-    description:
-      "A coastal town in France is reporting mass hysteria and nightmares of a sunken city. A psychic resonance is growing, heralding the awakening of something ancient. Disrupt the ritual before it completes.",
-    zone: "Europe",
-    theme: "LOVECRAFTIAN",
-    primaryStat: "Occultism",
-    skills: [],
-    difficulty: 10,
-    lifetimeMinutes: 240, // 4 hours – big cosmic boss
-  },
-  {
-    id: "wt_conjuring",
-    name: "The Perron Farmhouse",
-    description:
-      "A remote farmhouse in Rhode Island is experiencing a violent poltergeist manifestation, escalating at an alarming rate. This is no simple haunting; it's a demonic infestation seeking a host. Your team must perform a full exorcism before the entity latches onto the family.",
-    zone: "North America",
-    theme: "FOLKLORE",
-    primaryStat: "Occultism",
-    skills: ["Exorcism", "Theology"],
-    difficulty: 7,
-    lifetimeMinutes: 120, // 2 hours – intense but shorter haunt
-  },
+// Balance knobs used by worldThreatEngine.js. simulate.js can override any of
+// them (--set primaryWeight=1.5) to compare revisions before changing them here.
+const BALANCE = {
+  baseProgressRate: WORLD_THREAT_BASE_PROGRESS_RATE, // % per sec per power
+  healthLossPerMinute: 1,
+  sanityLossPerMinute: 2,
+  easyScalar: 0.1, // progress speed-up per difficulty step below 10
+  primaryWeight: 1.3, // power = primary * primaryWeight + statSum * statSumWeight + skills
+  statSumWeight: 0.6,
+  skillBonus: 2, // per required skill the agent has (times any weakness/resistance multiplier)
+  coverageBonus: 0.15, // +15% power for everyone once the assigned agents cover every required skill
+};
 
-  // ----------------------
-  // New world threats
-  // ----------------------
+// Concurrent threats: at most one per zone, and a zone cools down after its threat ends
+const CONCURRENCY = {
+  maxActiveThreats: 3, // the rotation stops spawning here; scheduled spawns may go past it
+  zoneCooldownMinutes: 30, // a zone takes no rotation spawn this long after its threat ended
+  rotationGapMinutes: 10, // minimum time between two rotation spawns
+};
 
-  {
-    id: "wt_motel_13",
-    name: "Vacancy at Room 13",
-    description:
-      "A dying highway in Nevada is kept alive by a single, flickering motel. Guests who stay in Room 13 check in with human faces and check out with something else staring from behind their eyes. Local police stopped responding after the dashcam of a responding cruiser looped 39 seconds of static and screaming. You must quarantine the site, identify the locus, and evict whatever entity has claimed permanent residence.",
-    zone: "North America",
-    theme: "FOLKLORE",
-    primaryStat: "Investigation",
-    skills: ["Psychology"],
-    difficulty: 3,
-    lifetimeMinutes: 90, // 1.5 hours – easy, shorter window
-  },
-  {
-    id: "wt_metro_whispers",
-    name: "Whispers in the Metro Line",
-    description:
-      "Commuters on a major European metro line are reporting voices urging them to step over the platform edge and onto the tracks. Security footage shows passengers arguing with something that is not there. The line has been closed 'for maintenance', but the pressure of rush hour is building. Track the origin of the whispers through the tunnels before a mass 'accident' is written into the timetable.",
-    zone: "Europe",
-    theme: "JUNJI_ITO",
-    primaryStat: "Occultism",
-    skills: ["Linguistics", "Research"],
-    difficulty: 4,
-    lifetimeMinutes: 90, // shorter, mid-low difficulty
-  },
-  {
-    id: "wt_deep_shaft",
-    name: "Signal from the Deep Shaft",
-    description:
-      "A remote mining operation drilled into a hollow cavity far below surveyed strata. Equipment readings became contradictory, clocks began to desynchronize, and workers report a 'song' vibrating in their teeth. The company has threatened legal action against interference, unaware that something is tunneling upwards toward the surface. Descend, map the anomaly, and collapse the shaft before the song finds a new chorus.",
-    zone: "South America",
-    theme: "LOVECRAFTIAN",
-    primaryStat: "Courage",
-    skills: ["Engineering", "Geology"],
-    difficulty: 5,
-    lifetimeMinutes: 150, // 2.5 hours
-  },
-  {
-    id: "wt_blood_moon",
-    name: "The Red Horizon Vigil",
-    description:
-      "A rural region reports livestock born already mummified and a moon that will not set, even in daylight. Satellite imagery shows a crimson tint isolated over a single valley, unaffected by atmospheric conditions. Old rituals once kept this vigil in check; the last keeper died without a successor. Your team must reconstruct the rite from fragmented oral histories before the red horizon spreads across the whole continent.",
-    zone: "Africa",
-    theme: "FOLKLORE",
-    primaryStat: "Occultism",
-    skills: ["Theology", "Research"],
-    difficulty: 5,
-    lifetimeMinutes: DEFAULT_LIFETIME_MINUTES, // 180
+// Live tick simulation: threats advance in fixed steps whatever the timer does, and one
+// tick catches up at most maxCatchUpSteps of them (a longer backlog drains over the next ticks)
+const SIMULATION = {
+  stepSeconds: 1,
+  maxCatchUpSteps: 300,
+};
+
+// Agent survival forecasts in the threat payload: an agent expected to go down within
+// warningSeconds (at the current phase's drain) is flagged
+const SURVIVAL_FORECAST = {
+  warningSeconds: 300,
+};
+
+// Limits for the admin console (see worldThreatAdminConsole.js)
+const ADMIN_CONSOLE = {
+  minRemainingSeconds: 60, // expiresAt can't be moved closer than this (use finish instead)
+  maxRemainingHours: 72, // ...or further out than this
+  maxCooldownMinutes: 24 * 60, // zone cooldown / next rotation spawn set by hand
+};
+
+// Mid-threat support actions (see worldThreatSupport.js), per director per threat
+const SUPPORT = {
+  charges: { heal: 3, calm: 3 },
+  amounts: { heal: 10, calm: 10 }, // health / sanity restored per use
+  cooldownSeconds: { heal: 120, calm: 120, rest: 60, swap: 300 },
+  restRecoveryPerMinute: { health: 1, sanity: 2 },
+};
+
+// Agent deployment rules (see worldThreatAgentRules.js)
+const AGENT_RULES = {
+  downedLockoutMinutes: 60, // a downed agent can't deploy anywhere for this long
+};
+
+// Bounds for client-submitted agent snapshots (see worldThreatSnapshotGuard.js)
+const SNAPSHOT_RULES = {
+  onOutOfBounds: "clamp", // "clamp" (adjust and log) | "reject" (refuse the agent and log)
+  stats: { min: 0, max: 50 }, // courage / investigation / occultism
+  health: { min: 1, max: 100 },
+  sanity: { min: 1, max: 100 },
+  maxSkills: 5, // names outside the template SKILLS list are dropped
+  worldThreatModifiers: {
+    powerMultiplier: { min: 0.5, max: 2 },
+    healthLossMultiplier: { min: 0.25, max: 2 },
+    sanityLossMultiplier: { min: 0.25, max: 2 },
   },
-  {
-    id: "wt_data_ghost_storm",
-    name: "The Data-Ghost Storm",
-    description:
-      "A cloud service provider in Singapore reports a rolling blackout that exists only in their logs. Servers register catastrophic errors, yet uptime is unaffected. Analysts attempting to debug the issue report migraines, nosebleeds, and repeating dreams of a static-filled ocean. A self-spreading 'ghost process' is attempting to propagate across the global backbone. Enter the data center, isolate the seed, and exorcise the code before it learns to rewrite more than software.",
-    zone: "Asia",
-    theme: "LOVECRAFTIAN",
-    primaryStat: "Investigation",
-    skills: ["Research", "Psychology"],
-    difficulty: 6,
-    lifetimeMinutes: 120, // 2 hours
+  statModifiers: {
+    flat: { min: -25, max: 25 }, // one modifier
+    percent: { min: -50, max: 100 },
+    totalFlat: { min: -25, max: 25 }, // all of an agent's modifiers on one stat together
+    totalPercent: { min: -50, max: 100 },
+    maxCount: 10,
   },
-  {
-    id: "wt_plague_procession",
-    name: "The Plague Procession",
-    description:
-      "An unregistered religious procession walks the back roads between villages, singing in a language no database recognizes. People who glimpse the parade develop black lesions in the pattern of footprints, as if something walked across their skin. The procession never appears on recorded video longer than a single frame. Track its route, identify the herald, and break the chain of contagion before it reaches a major city.",
-    zone: "Europe",
-    theme: "FOLKLORE",
-    primaryStat: "Occultism",
-    skills: ["Biology", "Theology"],
-    difficulty: 6,
-    lifetimeMinutes: 150, // 2.5 hours
+  signatureMaxAgeMinutes: 24 * 60, // signed snapshots older than this are refused
+};
+
+// Player identity tokens (see worldThreatPlayerAuth.js)
+const PLAYER_TOKENS = {
+  audience: "world-threats", // required aud claim; null accepts any
+  leewaySeconds: 60, // clock skew allowed on exp/nbf
+};
+
+// Zone corruption map (see worldThreatZoneMap.js)
+const ZONE_CORRUPTION = {
+  max: 100,
+  riseOnExpire: 20,
+  fallOnClear: 15,
+  spillover: 0.35, // neighbours get 35% of an expiry's rise
+  decayPerHour: 0.5,
+  spawnWeightBoost: 1, // weight *= 1 + corruption / max * boost (pressure draws threats back)
+  drainBoost: 0.5, // health/sanity drain *= 1 + corruption / max * boost
+  difficultyBonus: [
+    { from: 40, bonus: 1 },
+    { from: 75, bonus: 2 },
+  ],
+  tiers: [
+    { from: 0, name: "calm" },
+    { from: 20, name: "uneasy" },
+    { from: 50, name: "corrupted" },
+    { from: 80, name: "overrun" },
+  ],
+  neighbors: {
+    Africa: ["Europe", "Asia", "South America"],
+    Asia: ["Europe", "Africa", "Oceania", "North America"],
+    Europe: ["Africa", "Asia", "North America"],
+    "North America": ["South America", "Europe", "Asia"],
+    Oceania: ["Asia", "South America"],
+    "South America": ["North America", "Africa", "Oceania"],
   },
-  {
-    id: "wt_drowned_signal",
-    name: "The Drowned Broadcast",
-    description:
-      "Late-night radio stations along a storm-battered coastline report emergency broadcasts that were never sent, urging listeners to 'follow the tide line inland'. Tuning to the frequency induces a sensation of lungs filling with cold saltwater. Archival checks show the call sign belongs to a station that sunk with a research vessel forty years ago. Trace the source of the phantom transmission before inland reservoirs answer the call.",
-    zone: "North America",
-    theme: "LOVECRAFTIAN",
-    primaryStat: "Courage",
-    skills: ["Psychology", "Linguistics"],
-    difficulty: 7,
-    lifetimeMinutes: 150, // 2.5 hours
+};
+
+// Participant-scaled durability for templates with `scaling: { mode }` (see
+// worldThreatEngine.js). Progress per second is divided by the durability factor:
+//   mode "bundles": (active bundles / referenceBundles) ^ exponent
+//   mode "power":   (total power / referencePower) ^ exponent
+// clamped to [min, max]. The factor rises at once when players join; it only falls
+// once the target is more than `deadband` below it, and then by at most
+// decayPerMinute, so leaving and rejoining can't be used to soften a threat.
+const DURABILITY_SCALING = {
+  referenceBundles: 10,
+  referencePower: 2000,
+  exponent: 0.75,
+  min: 0.5,
+  max: 10,
+  deadband: 0.1, // fraction of the current factor
+  decayPerMinute: 0.05,
+};
+
+// Default skill weaknesses/resistances by theme. Templates can add their own or
+// override these per skill; the multiplier scales that skill's bonus, and a skill
+// the threat is weak to counts even when it isn't one of the required skills.
+const THEME_AFFINITIES = {
+  FOLKLORE: { weaknesses: { Exorcism: 2, Theology: 1.5 }, resistances: {} },
+  JUNJI_ITO: { weaknesses: { Psychology: 1.5 }, resistances: { Firearms: 0.5 } },
+  LOVECRAFTIAN: { weaknesses: { Linguistics: 1.5 }, resistances: { Firearms: 0.5, Stealth: 0.75 } },
+  RESIDENT_EVIL: { weaknesses: { Firearms: 1.5, Biology: 1.5 }, resistances: { Exorcism: 0.5 } },
+};
+
+// Reward tiers by outcome. rewardMultiplier scales the client-side loot table.
+// topPercent: share of ranked contributors that count as "top" (at least one player).
+const REWARD_TIERS = {
+  topPercent: 10,
+  cleared: {
+    top_contributor: { rewardMultiplier: 3 },
+    top_percent: { rewardMultiplier: 2 },
+    participant: { rewardMultiplier: 1 },
   },
-  {
-    id: "wt_harvest_rites",
-    name: "The Last Harvest Rite",
-    description:
-      "Satellite imagery of a drought-stricken region shows perfectly green crop circles forming overnight, spelling out equations no mathematician can solve. Locals speak of a 'final harvest' promised by something that lives under the topsoil. Livestock left near the circles are found desiccated, reduced to skin and teeth. Your operatives must descend into the irrigation tunnels and break the pact before the soil decides it prefers human tithes.",
-    zone: "Africa",
-    theme: "FOLKLORE",
-    primaryStat: "Courage",
-    skills: ["Geology", "Biology"],
-    difficulty: 7,
-    lifetimeMinutes: 150,
+  expired: {
+    top_contributor: { rewardMultiplier: 0.5 },
+    top_percent: { rewardMultiplier: 0.35 },
+    participant: { rewardMultiplier: 0.2 },
   },
+};
+
+// Spawn rotation (see worldThreatSpawnDirector.js)
+const SPAWN_DIRECTOR = {
+  noRepeatTemplates: 5, // the last 5 templates can't come up again
+  noRepeatZones: 1, // the next threat always lands in a different zone
+  timezoneOffsetMinutes: 0, // curve hours are evaluated in UTC + offset
+  // Target difficulty by hour of day; templates near the target are favoured
+  difficultyCurve: [
+    { hours: [0, 6], target: 5 },
+    { hours: [6, 12], target: 4 },
+    { hours: [12, 17], target: 6 },
+    { hours: [17, 24], target: 8 }, // evening peak
+  ],
+  weekendBonus: 1, // +1 target difficulty on Saturday/Sunday
+  curveFalloff: 0.5, // weight *= 1 / (1 + curveFalloff * |difficulty - target|)
+};
+
+// Random incidents (see worldThreatIncidents.js for effect shapes).
+// Used by every template that doesn't declare its own `incidents`.
+const DEFAULT_INCIDENTS_PER_HOUR = 4;
+const DEFAULT_INCIDENT_TABLE = [
   {
-    id: "wt_ashen_children",
-    name: "Ashen Children of the Schoolyard",
-    description:
-      "A closed-down elementary school on the outskirts of a megacity has become an urban legend destination. Teenagers who break in report playing hide-and-seek with children made of ash, who beg to be remembered. Those who accept the invitation begin losing personal memories at random, starting with birthdays and progressing toward names. Seal the building, catalog the spectral class roster, and lay them to rest before the city forgets itself.",
-    zone: "Asia",
-    theme: "JUNJI_ITO",
-    primaryStat: "Occultism",
-    skills: ["Psychology", "Stealth"],
-    difficulty: 8,
-    lifetimeMinutes: DEFAULT_LIFETIME_MINUTES, // 180
+    id: "sanity_surge",
+    name: "Sanity Surge",
+    description: "A wave of dread rolls over the site. Every operative feels it.",
+    weight: 3,
+    cooldownSeconds: 20 * 60,
+    effect: { type: "agents", stat: "sanity", delta: -4, target: "all" },
   },
   {
-    id: "wt_ouroboros_signal",
-    name: "The Ouroboros Transmission",
-    description:
-      "A clandestine numbers station that was decommissioned decades ago has begun broadcasting again, but every recording of the signal is different. Analysts decoding it realize the numbers describe their own biometric data, updated in real time. The final segment of the broadcast is redacted by an unknown hand just before playback. Track the physical transmitter and sever the loop before the message reaches its last line.",
-    zone: "Europe",
-    theme: "LOVECRAFTIAN",
-    primaryStat: "Investigation",
-    skills: ["Research", "Linguistics"],
-    difficulty: 8,
-    lifetimeMinutes: 210, // 3.5 hours – long, analytical
+    id: "ambush",
+    name: "Ambush",
+    description: "Something was waiting in the dark. One operative takes the hit.",
+    weight: 2,
+    cooldownSeconds: 15 * 60,
+    effect: { type: "agents", stat: "health", delta: -8, target: "random" },
   },
   {
-    id: "wt_fungal_cathedral",
-    name: "The Fungal Cathedral",
-    description:
-      "Deep in an uncharted section of rainforest, an impossibly regular spire of fungal growth has erupted from the canopy, forming a 'cathedral' visible from orbit. Spores drifting downwind provoke religious ecstasy followed by catatonia. Satellite shots reveal human silhouettes encased in mycelium, kneeling in rows along the nave. Burn the root network, rescue any salvageable survivors, and prevent the cathedral from 'seeding' new congregations on other continents.",
-    zone: "South America",
-    theme: "RESIDENT_EVIL",
-    primaryStat: "Courage",
-    skills: ["Biology", "Firearms"],
-    difficulty: 9,
-    lifetimeMinutes: 210, // 3.5 hours – tough bio boss
+    id: "reinforcements",
+    name: "Reinforcements",
+    description: "A field medic team reaches the perimeter and patches up the line.",
+    weight: 2,
+    cooldownSeconds: 30 * 60,
+    effect: { type: "agents", stat: "health", delta: 5, target: "all" },
   },
   {
-    id: "wt_mirror_network",
-    name: "The Mirror Network",
-    description:
-      "A series of seemingly unrelated urban legends—mirrors that lag behind, reflections that blink out of sync, faces seen staring from darkened office windows at 3:33 a.m.—line up into a pattern when plotted across a telecom provider's fiber network. Something has learned to route itself through reflections, using glass and polished metal as temporary bodies. Trace the pattern, collapse the network nodes, and corner the root reflection before it learns how to look back from every screen on Earth.",
-    zone: "North America",
-    theme: "JUNJI_ITO",
-    primaryStat: "Occultism",
-    skills: ["Stealth", "Psychology"],
-    difficulty: 9,
-    lifetimeMinutes: 210,
+    id: "ritual_interruption",
+    name: "Ritual Interruption",
+    description: "Your team disrupts a key working. The threat reels.",
+    weight: 2,
+    cooldownSeconds: 30 * 60,
+    effect: { type: "progress", delta: 3 },
   },
   {
-    id: "wt_penumbral_census",
-    name: "The Penumbral Census",
-    description:
-      "Governments across multiple jurisdictions have simultaneously launched population verification campaigns that share identical wording and unexplained urgency. Cross-referencing the forms shows that they are not counting citizens, but gaps—people who should exist statistically but do not. The last time such a census was attempted, an entire city vanished from historical records overnight. Infiltrate the data centers running the surveys and sabotage the algorithm before it learns which of your agents are statistically impossible.",
-    zone: "Asia",
-    theme: "LOVECRAFTIAN",
-    primaryStat: "Investigation",
-    skills: ["Research", "Psychology"],
-    difficulty: 10,
-    lifetimeMinutes: 240, // 4 hours – endgame event
+    id: "progress_setback",
+    name: "Setback",
+    description: "A containment line collapses and ground is lost.",
+    weight: 1,
+    cooldownSeconds: 45 * 60,
+    effect: { type: "progress", delta: -5 },
   },
 ];
 
-// Create a live instance from a template
-function createThreatInstance(template) {
-  const now = new Date();
+// Threat templates live in ./threats (one JSON/YAML file each) and are loaded,
+// validated and hot-reloaded by worldThreatTemplates.js.
+
+// Theme defaults merged with the template's own; the template wins when it
+// lists a skill on either side
+function resolveAffinities(template) {
+  const theme = THEME_AFFINITIES[template.theme] || {};
+  const own = { ...template.weaknesses, ...template.resistances };
+  const inherit = (map) => Object.fromEntries(Object.entries(map || {}).filter(([skill]) => !(skill in own)));
+  return {
+    weaknesses: { ...inherit(theme.weaknesses), ...template.weaknesses },
+    resistances: { ...inherit(theme.resistances), ...template.resistances },
+  };
+}
 
+// Create a live instance from a template (`now` is injectable for simulations)
+function createThreatInstance(template, now = new Date()) {
   const expiresAt = new Date(
     now.getTime() +
       (template.lifetimeMinutes ?? DEFAULT_LIFETIME_MINUTES) * 60 * 1000
   ).toISOString();
+  const scaling = template.scaling ? { ...DURABILITY_SCALING, ...template.scaling } : null;
+  const objective = template.objective ? { ...template.objective } : { type: "progress" };
 
   return {
     instanceId: `${template.id}-${Math.random().toString(36).slice(2, 10)}`,
@@ -243,8 +258,30 @@ function createThreatInstance(template) {
     zone: template.zone,
     theme: template.theme,
     primaryStat: template.primaryStat,
-    skills: template.skills,
+    skills: [...(template.skills || [])],
     difficulty: template.difficulty,
+    phases: (Array.isArray(template.phases) ? template.phases : [])
+      .map((ph) => ({ ...ph }))
+      .sort((a, b) => (a.atProgress ?? 0) - (b.atProgress ?? 0)),
+    phaseIndex: -1, // kept in sync with progress by the server; -1 = template stats apply
+    incidentTable: (template.incidents ?? DEFAULT_INCIDENT_TABLE).map((inc) => ({ ...inc })),
+    incidentsPerHour: template.incidentsPerHour ?? DEFAULT_INCIDENTS_PER_HOUR,
+    incidentLog: [],
+    ...resolveAffinities(template),
+    objective, // win condition, see worldThreatObjectives.js
+    objectiveState: createObjectiveState(objective),
+    scaling,
+    // An empty threat starts at the floor; players joining push the factor up
+    durabilityFactor: scaling ? scaling.min : 1,
+    durabilityTarget: scaling ? scaling.min : 1,
+    // Threat-scoped stat modifiers for every assigned agent; durationMinutes counts from spawn
+    statModifiers: sanitizeStatModifiers(
+      (template.statModifiers || []).map((m) => ({
+        ...m,
+        expiresAt: m.durationMinutes ? new Date(now.getTime() + m.durationMinutes * 60000).toISOString() : undefined,
+      })),
+      "threat"
+    ),
 
     // progress in PERCENT, from 0 -> 100
     progress: 0,
@@ -259,6 +296,19 @@ function createThreatInstance(template) {
 module.exports = {
   WORLD_THREAT_BASE_PROGRESS_RATE,
   DEFAULT_LIFETIME_MINUTES,
-  threatTemplates,
+  BALANCE,
+  SIMULATION,
+  REWARD_TIERS,
+  SPAWN_DIRECTOR,
+  CONCURRENCY,
+  ADMIN_CONSOLE,
+  SURVIVAL_FORECAST,
+  THEME_AFFINITIES,
+  DURABILITY_SCALING,
+  ZONE_CORRUPTION,
+  SUPPORT,
+  AGENT_RULES,
+  SNAPSHOT_RULES,
+  PLAYER_TOKENS,
   createThreatInstance,
 };
@@ -0,0 +1,617 @@
+// backend/worldThreatEngine.js
+// Simulation core shared by the live server and the offline simulator (simulate.js).
+// - Works on plain threat objects and explicit timestamps: nothing in here reads
+//   the clock, so a fake clock can drive it step by step
+// - Balance knobs come from BALANCE in worldThreatConfig.js; createEngine(overrides)
+//   lets the simulator try other values without touching the config
+// - advanceThreatTo() runs fixed SIMULATION.stepSeconds steps from the threat's lastTick,
+//   bounded per call; agent power (and the roster's per-phase power behind ETAs) is
+//   cached until its inputs change
+
+const crypto = require("crypto");
+const { BALANCE, SIMULATION } = require("./worldThreatConfig");
+const { createRng, instanceSeed, rollIncident, applyIncident } = require("./worldThreatIncidents");
+const { sanitizeStatModifiers, applyStatModifiers, tickModifiers } = require("./worldThreatModifiers");
+const { progressAllowed, evaluateObjective } = require("./worldThreatObjectives");
+
+const CONTRIBUTION_BUCKET_KEEP_MS = 6 * 60 * 60 * 1000; // keep last 6h of minute buckets
+
+// ----------------- Helpers & Sanitizers -----------------
+function toNum(x, fallback = 0) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function sanitizeSkills(skills) {
+  if (!Array.isArray(skills)) return [];
+  return skills.map((s) => (typeof s === "string" ? s : String(s))).filter(Boolean);
+}
+
+function sanitizeAgentSnapshot(a) {
+  return {
+    agentId: String(a?.agentId || ""),
+    name: String(a?.name || "Unknown"),
+    portraitUrl: a?.portraitUrl ? String(a.portraitUrl) : "",
+    courage: toNum(a?.courage, 0),
+    investigation: toNum(a?.investigation, 0),
+    occultism: toNum(a?.occultism, 0),
+    health: toNum(a?.health, 30),
+    sanity: toNum(a?.sanity, 30),
+    maxHealth: toNum(a?.health, 30), // ceiling for healing effects
+    maxSanity: toNum(a?.sanity, 30),
+    skills: sanitizeSkills(a?.skills),
+    statModifiers: sanitizeStatModifiers(a?.statModifiers),
+    worldThreatModifiers:
+      (a && typeof a.worldThreatModifiers === "object" && a.worldThreatModifiers) || {},
+  };
+}
+
+// Round a timestamp down to the start of its minute
+function minuteBucket(tsMs) {
+  return Math.floor(tsMs / 60000) * 60000;
+}
+
+// ----------------- Phases -----------------
+// Index of the phase in effect at `progress` (-1 = before the first phase / no phases)
+function getPhaseIndex(threat, progress = threat?.progress) {
+  const phases = Array.isArray(threat?.phases) ? threat.phases : [];
+  const p = toNum(progress, 0);
+  let idx = -1;
+  phases.forEach((ph, i) => {
+    if (p >= toNum(ph.atProgress, 0)) idx = i;
+  });
+  return idx;
+}
+
+/**
+ * Stats in effect for a phase (defaults to the current one).
+ * Phase fields override the template's; the result has no `phases`,
+ * so passing it back in returns the same stats. Threat-scoped stat modifiers
+ * and the instanceId ride along for computeAgentPower.
+ */
+function phaseStats(threat, idx = getPhaseIndex(threat)) {
+  const ph = Array.isArray(threat?.phases) && idx >= 0 ? threat.phases[idx] : null;
+  return {
+    primaryStat: ph?.primaryStat ?? threat?.primaryStat,
+    skills: ph?.skills ?? threat?.skills,
+    difficulty: ph?.difficulty ?? threat?.difficulty,
+    // Zone corruption at spawn scales whatever drain the phase/template sets
+    healthDrainMultiplier:
+      toNum(ph?.healthDrainMultiplier ?? threat?.healthDrainMultiplier, 1) * toNum(threat?.zoneDrainMultiplier, 1),
+    sanityDrainMultiplier:
+      toNum(ph?.sanityDrainMultiplier ?? threat?.sanityDrainMultiplier, 1) * toNum(threat?.zoneDrainMultiplier, 1),
+    weaknesses: threat?.weaknesses || {},
+    resistances: threat?.resistances || {},
+    statModifiers: threat?.statModifiers || [],
+    instanceId: threat?.instanceId,
+  };
+}
+
+function publicPhase(ph, index, { withNarrative = true } = {}) {
+  const { narrative, ...rest } = ph;
+  return withNarrative ? { index, ...rest, narrative: narrative || "" } : { index, ...rest };
+}
+
+// Runtime fields every spawned instance needs on top of createThreatInstance
+function prepareInstance(inst, rngSeed = "") {
+  inst.contributions = { totals: {}, buckets: {} }; // contribution tracking
+  inst.casualties = [];
+  inst.phaseIndex = getPhaseIndex(inst);
+  inst.rngState = instanceSeed(rngSeed, inst.instanceId);
+  return inst;
+}
+
+// ----------------- Casualties -----------------
+// An agent went down: keep a record the owning player can fetch and acknowledge
+function recordCasualty(threat, bundle, agent, cause, atMs) {
+  const casualty = {
+    casualtyId: crypto.randomUUID(),
+    instanceId: threat.instanceId,
+    templateId: threat.templateId,
+    threatName: threat.name,
+    playerId: String(bundle.playerId || "unknown"),
+    directorName: bundle.directorName || "",
+    agentId: agent.agentId,
+    agentName: agent.name,
+    cause, // "health" | "sanity"
+    at: new Date(atMs).toISOString(),
+    contribution: toNum(agent.contribution, 0), // power-seconds before going down
+    acknowledged: false,
+    acknowledgedAt: null,
+  };
+  if (!Array.isArray(threat.casualties)) threat.casualties = [];
+  threat.casualties.push(casualty);
+  return casualty;
+}
+
+function createEngine(overrides = {}) {
+  const balance = { ...BALANCE, ...overrides };
+
+  // Agent power only changes with the phase, the coverage multiplier, the threat's
+  // modifiers or the agent's own (replaced on assign/swap, or by a modifier tick).
+  // Each step's agent objects carry their power into the next step under a context
+  // token that is replaced whenever one of the threat-wide inputs changes.
+  const powerContexts = new WeakMap(); // threat -> { phaseIndex, multiplier, threatModifiers }
+  const agentPowers = new WeakMap(); // agent -> { context, power }
+  // The roster's total power per phase (for ETAs) holds while the same agents keep the
+  // same modifiers; a step carries it over to its new agent objects when nothing changed
+  const phasePowers = new WeakMap(); // threat -> { agents, threatModifiers, totals: { phaseIndex: power } }
+
+  function rosterOf(t) {
+    const agents = [];
+    (t.assignedAgents || []).forEach((b) => (b.agents || []).forEach((a) => agents.push(a)));
+    return agents;
+  }
+
+  function sameAgents(a, b) {
+    return a.length === b.length && a.every((x, i) => x === b[i]);
+  }
+
+  function phasePowerTable(t, agents) {
+    const c = phasePowers.get(t);
+    if (c && c.threatModifiers === t.statModifiers && sameAgents(c.agents, agents)) return c;
+    const next = { agents, threatModifiers: t.statModifiers, totals: {} };
+    phasePowers.set(t, next);
+    return next;
+  }
+
+  function powerContext(t, phaseIndex, multiplier) {
+    const c = powerContexts.get(t);
+    if (c && c.phaseIndex === phaseIndex && c.multiplier === multiplier && c.threatModifiers === t.statModifiers) {
+      return c;
+    }
+    const next = { phaseIndex, multiplier, threatModifiers: t.statModifiers };
+    powerContexts.set(t, next);
+    return next;
+  }
+
+  /**
+   * Difficulty easing:
+   * 10 -> 1.0x (no change)
+   * <10 -> faster progress & gentler drain
+   * balance.easyScalar controls how much faster at low difficulties.
+   */
+  function getDifficultySpeed(threat) {
+    const d = Math.max(1, Math.min(10, Number(phaseStats(threat).difficulty) || 10));
+    return 1 + (10 - d) * balance.easyScalar; // diff 1, scalar 0.10 => 1.9x
+  }
+
+  /**
+   * How one agent's power is put together: base stats, stat modifiers (agent and
+   * threat-scoped), skill bonus and the power multiplier. nowMs (optional) leaves out
+   * modifiers that have expired by then.
+   */
+  function powerBreakdown(agent, threat, nowMs) {
+    const stats = phaseStats(threat);
+    const modified = applyStatModifiers(agent, {
+      threatModifiers: stats.statModifiers,
+      instanceId: stats.instanceId,
+      nowMs,
+    });
+    const c = modified.courage.effective;
+    const i = modified.investigation.effective;
+    const o = modified.occultism.effective;
+
+    let primary = o;
+    const ps = String(stats.primaryStat || "");
+    if (ps === "Courage") primary = c;
+    else if (ps === "Investigation") primary = i;
+
+    const statSum = c + i + o;
+
+    // Required skills, plus any skill the threat is weak or resistant to, scaled by its affinity
+    let skillBonus = 0;
+    const skills = [];
+    const need = Array.isArray(stats.skills) ? stats.skills : [];
+    const have = new Set(Array.isArray(agent?.skills) ? agent.skills : []);
+    for (const s of new Set([...need, ...Object.keys(stats.weaknesses), ...Object.keys(stats.resistances)])) {
+      if (!have.has(s)) continue;
+      const multiplier = toNum(stats.weaknesses[s] ?? stats.resistances[s], 1);
+      const bonus = balance.skillBonus * multiplier;
+      skillBonus += bonus;
+      skills.push({ skill: s, required: need.includes(s), multiplier, bonus });
+    }
+
+    let basePower = primary * balance.primaryWeight + statSum * balance.statSumWeight + skillBonus;
+
+    const wtMods = agent?.worldThreatModifiers || {};
+    const powerMult = toNum(wtMods.powerMultiplier, 1);
+    basePower *= powerMult;
+
+    if (!Number.isFinite(basePower) || basePower < 0) basePower = 0;
+    return {
+      stats: modified,
+      primaryStat: ps,
+      primary,
+      statSum,
+      skillBonus,
+      skills,
+      powerMultiplier: powerMult,
+      power: basePower,
+    };
+  }
+
+  /**
+   * Team synergy: once the assigned agents (all players together) cover every skill
+   * the current phase requires, everyone's power gets balance.coverageBonus.
+   */
+  function skillCoverage(threat, stats = phaseStats(threat)) {
+    const required = Array.isArray(stats.skills) ? stats.skills : [];
+    const pool = new Set();
+    (threat?.assignedAgents || []).forEach((b) =>
+      (b.agents || []).forEach((a) => (Array.isArray(a.skills) ? a.skills : []).forEach((s) => pool.add(s)))
+    );
+    const covered = required.filter((s) => pool.has(s));
+    const complete = required.length > 0 && covered.length === required.length;
+    return {
+      required,
+      covered,
+      missing: required.filter((s) => !pool.has(s)),
+      complete,
+      multiplier: complete ? 1 + balance.coverageBonus : 1,
+      // Affinities the roster is currently running into
+      weaknessesExploited: Object.keys(stats.weaknesses || {}).filter((s) => pool.has(s)),
+      resistedSkills: Object.keys(stats.resistances || {}).filter((s) => pool.has(s)),
+    };
+  }
+
+  /**
+   * Health/sanity one agent loses over `elapsedSec` under `stats` (phaseStats):
+   * harder difficulty drains more, scaled by the agent's loss multipliers and the
+   * phase/zone drain multipliers.
+   */
+  function agentDrain(agent, stats, elapsedSec) {
+    const mods = agent?.worldThreatModifiers || {};
+    const healthMult = toNum(mods.healthLossMultiplier, 1);
+    const sanityMult = toNum(mods.sanityLossMultiplier, 1);
+    const difficultyDrainFactor = 1 / getDifficultySpeed(stats);
+
+    const baseHp = (balance.healthLossPerMinute * elapsedSec) / 60;
+    const baseSan = (balance.sanityLossPerMinute * elapsedSec) / 60;
+    return {
+      health: baseHp * difficultyDrainFactor * healthMult * stats.healthDrainMultiplier,
+      sanity: baseSan * difficultyDrainFactor * sanityMult * stats.sanityDrainMultiplier,
+    };
+  }
+
+  /**
+   * Seconds until the agent's health and sanity hit 0 (null = never). The drain follows
+   * the phases on the schedule of `forecast` (estimateCompletion's result, worked out
+   * when not given) and stays at the last phase's rate after that. `limitedBy` is
+   * whichever runs out first.
+   */
+  function survivalTime(agent, threat, forecast = estimateCompletion(threat)) {
+    // [startSecond, drain per second] for the current phase and each one the forecast reaches
+    const segments = [[0, agentDrain(agent, phaseStats(threat), 1)]];
+    Object.entries(forecast?.phaseEtas || {})
+      .map(([idx, at]) => [Number(idx), at])
+      .sort((a, b) => a[1] - b[1])
+      .forEach(([idx, at]) => segments.push([at, agentDrain(agent, phaseStats(threat, idx), 1)]));
+
+    const until = (value, stat) => {
+      let left = Math.max(0, toNum(value, 0));
+      for (let i = 0; i < segments.length; i++) {
+        const [start, perSec] = segments[i];
+        const rate = perSec[stat];
+        const end = i + 1 < segments.length ? segments[i + 1][0] : Infinity;
+        if (rate > 0 && left <= rate * (end - start)) return start + left / rate;
+        if (rate > 0) left -= rate * (end - start);
+      }
+      return null;
+    };
+    const healthSeconds = until(agent?.health, "health");
+    const sanitySeconds = until(agent?.sanity, "sanity");
+    const [limitedBy, seconds] = [
+      ["health", healthSeconds],
+      ["sanity", sanitySeconds],
+    ]
+      .filter(([, sec]) => sec !== null)
+      .sort((a, b) => a[1] - b[1])[0] || [null, null];
+    return { healthSeconds, sanitySeconds, seconds, limitedBy };
+  }
+
+  /** Compute one agent’s contribution ("power") with NaN guards; uses the threat's current phase */
+  function computeAgentPower(agent, threat, nowMs) {
+    return powerBreakdown(agent, threat, nowMs).power;
+  }
+
+  /**
+   * Durability factor the roster calls for right now (1 when the threat doesn't scale).
+   * totalPower is the roster's power for the step being simulated.
+   */
+  function durabilityTarget(t, totalPower) {
+    const sc = t.scaling;
+    if (!sc) return 1;
+    const bundles = (t.assignedAgents || []).filter((b) => (b.agents || []).length > 0).length;
+    const ratio =
+      sc.mode === "power"
+        ? toNum(totalPower, 0) / Math.max(1, toNum(sc.referencePower, 1))
+        : bundles / Math.max(1, toNum(sc.referenceBundles, 1));
+    const raw = ratio > 0 ? Math.pow(ratio, toNum(sc.exponent, 1)) : 0;
+    return Math.max(toNum(sc.min, 1), Math.min(toNum(sc.max, 1), raw));
+  }
+
+  // Move t.durabilityFactor toward the target: up at once, down slowly past the deadband
+  function updateDurability(t, totalPower, elapsedSec) {
+    if (!t.scaling) return 1;
+    const target = durabilityTarget(t, totalPower);
+    let factor = toNum(t.durabilityFactor, 1);
+    if (target > factor) {
+      factor = target;
+    } else if (factor - target > toNum(t.scaling.deadband, 0) * factor) {
+      factor = Math.max(target, factor - (toNum(t.scaling.decayPerMinute, 0) * elapsedSec) / 60);
+    }
+    t.durabilityTarget = target;
+    t.durabilityFactor = factor;
+    return factor;
+  }
+
+  /**
+   * Seconds until progress reaches 100 with the current roster (null when it never will),
+   * walking the remaining phase segments since the rate changes at each threshold.
+   * phaseEtas[i] is the time until phase i starts. Hold-outs end with the timer
+   * (measured from nowMs, default lastTick); races end when the last winning place
+   * is expected to be taken; a stalled escort has no ETA.
+   */
+  function estimateCompletion(t, nowMs = new Date(t.lastTick).getTime()) {
+    const phases = Array.isArray(t.phases) ? t.phases : [];
+    const phaseIndex = getPhaseIndex(t);
+    const phaseEtas = {};
+    if (t.status !== "active" || toNum(t.progress, 0) >= 100) return { etaSeconds: null, phaseEtas };
+
+    const type = t.objective?.type;
+    if (type === "holdout") {
+      return { etaSeconds: Math.max(0, (new Date(t.expiresAt).getTime() - nowMs) / 1000), phaseEtas };
+    }
+    if (type === "escort" && !progressAllowed(t)) return { etaSeconds: null, phaseEtas };
+    if (type === "race") return { etaSeconds: estimateRace(t), phaseEtas };
+
+    const agents = rosterOf(t);
+    const table = phasePowerTable(t, agents);
+
+    let seconds = 0;
+    let from = toNum(t.progress, 0);
+    for (let idx = phaseIndex; idx < phases.length; idx++) {
+      const to = idx + 1 < phases.length ? Math.min(100, toNum(phases[idx + 1].atProgress, 100)) : 100;
+      if (to <= from) continue;
+      const stats = phaseStats(t, idx);
+      if (table.totals[idx] === undefined) {
+        const coverage = skillCoverage(t, stats);
+        table.totals[idx] = agents.reduce((sum, a) => sum + computeAgentPower(a, stats), 0) * coverage.multiplier;
+      }
+      const totalPower = table.totals[idx];
+      const perSec =
+        (totalPower * balance.baseProgressRate * getDifficultySpeed(stats)) / toNum(t.durabilityFactor, 1);
+      if (perSec <= 0) return { etaSeconds: null, phaseEtas };
+      seconds += (to - from) / perSec;
+      from = to;
+      if (idx + 1 < phases.length) phaseEtas[idx + 1] = seconds;
+    }
+    return { etaSeconds: seconds > 0 ? seconds : null, phaseEtas };
+  }
+
+  // Seconds until the last open race place is taken at current power (null if never)
+  function estimateRace(t) {
+    const target = Math.max(1, toNum(t.objective.target, 1));
+    const finished = new Set((t.objectiveState?.finishers || []).map((f) => f.playerId));
+    const open = Math.max(1, toNum(t.objective.winners, 1)) - finished.size;
+    const coverage = skillCoverage(t);
+    const times = (t.assignedAgents || [])
+      .filter((b) => !finished.has(String(b.playerId)))
+      .map((b) => {
+        const power = (b.agents || []).reduce((sum, a) => sum + computeAgentPower(a, t), 0) * coverage.multiplier;
+        const have = toNum(t.contributions?.totals?.[b.playerId], 0);
+        return power > 0 ? Math.max(0, target - have) / power : Infinity;
+      })
+      .sort((a, b) => a - b);
+    const eta = times[open - 1];
+    return Number.isFinite(eta) ? eta : null;
+  }
+
+  /**
+   * Advance an active threat from `fromMs` to `toMs` in one step: incidents, drain,
+   * casualties, contributions, progress and phase changes. Time past expiresAt
+   * doesn't count. Mutates `t`; the caller decides what to do with the outcome.
+   */
+  function advanceThreat(t, fromMs, toMs) {
+    // Only simulate up to the expiry deadline; anything after it doesn't count
+    const expTs = new Date(t.expiresAt).getTime();
+    const simEnd = Math.min(toMs, expTs);
+    const elapsedSec = Math.max(0, (simEnd - fromMs) / 1000);
+
+    // Incidents land before drain, so anything they push to 0 goes down this step
+    const rng = createRng(toNum(t.rngState, 0));
+    const incident = rollIncident(t, elapsedSec, simEnd, rng);
+    const incidentEntry = incident ? applyIncident(t, incident, simEnd, rng) : null;
+    t.rngState = rng.state;
+
+    // Drain & power. Stats come from the phase in effect at the start of this step
+    let totalPower = 0;
+    const stats = phaseStats(t);
+    const difficultySpeed = getDifficultySpeed(stats);
+    const coverage = skillCoverage(t, stats); // roster at the start of the step
+    const progressWasAllowed = progressAllowed(t); // escort pool at the start of the step
+    const context = powerContext(t, getPhaseIndex(t), coverage.multiplier);
+
+    const contribNowBucketIso = new Date(minuteBucket(simEnd)).toISOString();
+    const downed = [];
+    const rosterBefore = rosterOf(t);
+    const threatModifiersBefore = t.statModifiers;
+    let modifiersChanged = false;
+
+    t.assignedAgents = (t.assignedAgents || [])
+      .map((bundle) => {
+        const updated = [];
+        let bundlePower = 0;
+
+        for (const agent of bundle.agents) {
+          const loss = agentDrain(agent, stats, elapsedSec);
+          const newHealth = toNum(agent?.health, 30) - loss.health;
+          const newSanity = toNum(agent?.sanity, 30) - loss.sanity;
+
+          if (newHealth <= 0 || newSanity <= 0) {
+            // downed/broken: drop from list, but leave a casualty record behind
+            downed.push(recordCasualty(t, bundle, agent, newHealth <= 0 ? "health" : "sanity", simEnd));
+            continue;
+          }
+
+          const live = { ...agent, health: newHealth, sanity: newSanity };
+          const cached = agentPowers.get(agent);
+          const p =
+            cached && cached.context === context
+              ? cached.power
+              : computeAgentPower(live, stats, fromMs) * coverage.multiplier;
+          live.statModifiers = tickModifiers(agent.statModifiers, simEnd);
+          if (live.statModifiers === agent.statModifiers) agentPowers.set(live, { context, power: p });
+          else modifiersChanged = true;
+          live.contribution = toNum(agent.contribution, 0) + p * elapsedSec;
+          bundlePower += p;
+          updated.push(live);
+        }
+
+        // Record contribution for this player (power-seconds)
+        if (!t.contributions) {
+          t.contributions = { totals: {}, buckets: {} };
+        }
+        const pid = String(bundle.playerId || "unknown");
+        const contrib = bundlePower * elapsedSec;
+
+        t.contributions.totals[pid] = (t.contributions.totals[pid] || 0) + contrib;
+
+        if (!t.contributions.buckets[pid]) {
+          t.contributions.buckets[pid] = {};
+        }
+        t.contributions.buckets[pid][contribNowBucketIso] =
+          (t.contributions.buckets[pid][contribNowBucketIso] || 0) + contrib;
+
+        totalPower += bundlePower;
+        return { ...bundle, agents: updated };
+      })
+      .filter((b) => b.agents && b.agents.length > 0);
+
+    t.statModifiers = tickModifiers(t.statModifiers, simEnd);
+
+    // Same agents, same modifiers: the per-phase powers still hold for the new objects
+    const table = phasePowers.get(t);
+    if (table && !downed.length && !modifiersChanged && t.statModifiers === threatModifiersBefore) {
+      if (sameAgents(table.agents, rosterBefore)) table.agents = rosterOf(t);
+    }
+
+    // Prune old minute buckets to bound memory, once per minute
+    if (t.contributions && t.contributionsPrunedAt !== contribNowBucketIso) {
+      t.contributionsPrunedAt = contribNowBucketIso;
+      const cutoff = toMs - CONTRIBUTION_BUCKET_KEEP_MS;
+      Object.values(t.contributions.buckets).forEach((byMinute) => {
+        for (const k of Object.keys(byMinute)) {
+          if (new Date(k).getTime() < cutoff) delete byMinute[k];
+        }
+      });
+    }
+
+    // Progress (easier difficulty => faster; scaled threats soak more with more players)
+    const durability = updateDurability(t, totalPower, elapsedSec);
+    const progressDelta = progressWasAllowed
+      ? (elapsedSec * totalPower * balance.baseProgressRate * difficultySpeed) / durability
+      : 0;
+    const nextProgress = toNum(t.progress, 0) + progressDelta;
+    t.progress = Math.min(100, nextProgress);
+    t.lastTick = new Date(simEnd).toISOString();
+
+    // Objective outcome (hold-outs and races set their own progress here)
+    const outcome = evaluateObjective(t, { simEnd, expTs, elapsedSec, progressWasAllowed });
+
+    // Phase transition (may skip phases if one step crosses several thresholds)
+    let phaseChanged = null;
+    const phaseIndex = getPhaseIndex(t);
+    if (phaseIndex !== t.phaseIndex) {
+      t.phaseIndex = phaseIndex;
+      t.phaseStartedAt = new Date(simEnd).toISOString();
+      if (phaseIndex >= 0 && t.progress < 100) phaseChanged = publicPhase(t.phases[phaseIndex], phaseIndex);
+    }
+
+    return {
+      simEnd,
+      expTs,
+      elapsedSec,
+      totalPower,
+      incident: incidentEntry,
+      downed,
+      phaseChanged,
+      raceFinishers: outcome.finishers || [],
+      cleared: outcome.cleared,
+      expired: outcome.expired,
+    };
+  }
+
+  /**
+   * Advance `t` from its lastTick toward `toMs` in fixed steps of stepSeconds, so the
+   * outcome doesn't depend on how often it is called. At most maxSteps run per call;
+   * the remaining time stays pending (lagSeconds) for the next call. Stops at clear or
+   * expiry. Returns every step's events plus the outcome.
+   */
+  function advanceThreatTo(t, toMs, opts = {}) {
+    const stepMs = (opts.stepSeconds ?? SIMULATION.stepSeconds) * 1000;
+    const maxSteps = opts.maxSteps ?? SIMULATION.maxCatchUpSteps;
+    const expTs = new Date(t.expiresAt).getTime();
+    let from = new Date(t.lastTick).getTime();
+    const out = {
+      steps: 0,
+      incidents: [],
+      downed: [],
+      phaseChanges: [],
+      raceFinishers: [],
+      cleared: false,
+      expired: false,
+      simEnd: from,
+      expTs,
+    };
+
+    while (out.steps < maxSteps) {
+      const end = Math.min(from + stepMs, expTs);
+      if (end > toMs) break;
+      const step = advanceThreat(t, from, end);
+      out.steps += 1;
+      if (step.incident) out.incidents.push(step.incident);
+      out.downed.push(...step.downed);
+      if (step.phaseChanged) out.phaseChanges.push(step.phaseChanged);
+      out.raceFinishers.push(...step.raceFinishers);
+      out.simEnd = step.simEnd;
+      from = step.simEnd;
+      if (step.cleared || step.expired) {
+        out.cleared = step.cleared;
+        out.expired = step.expired;
+        break;
+      }
+    }
+    const done = out.cleared || out.expired;
+    // Whole steps still owed; the sub-step remainder is normal between ticks
+    const owed = done ? 0 : Math.floor(Math.max(0, Math.min(toMs, expTs) - from) / stepMs);
+    out.lagSeconds = (owed * stepMs) / 1000;
+    return out;
+  }
+
+  return {
+    balance,
+    getDifficultySpeed,
+    powerBreakdown,
+    skillCoverage,
+    durabilityTarget,
+    computeAgentPower,
+    agentDrain,
+    survivalTime,
+    estimateCompletion,
+    advanceThreat,
+    advanceThreatTo,
+  };
+}
+
+module.exports = {
+  toNum,
+  sanitizeAgentSnapshot,
+  minuteBucket,
+  getPhaseIndex,
+  phaseStats,
+  publicPhase,
+  prepareInstance,
+  createEngine,
+};
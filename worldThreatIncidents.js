@@ -0,0 +1,124 @@
+// backend/worldThreatIncidents.js
+// Scripted random incidents rolled by the tick loop.
+// - Each threat instance owns a seeded RNG (mulberry32) whose 32-bit state is
+//   stored on the instance, so a restored threat keeps rolling the same sequence
+// - WORLD_THREAT_RNG_SEED fixes the seed for every new instance (tests/simulations)
+// - Incident table entries: { id, name, weight, cooldownSeconds, effect }
+//   effect.type "agents":   { stat: "health" | "sanity", delta, target: "all" | "random" }
+//   effect.type "progress": { delta } (percent, negative = setback)
+
+const crypto = require("crypto");
+
+const INCIDENT_LOG_LIMIT = 200;
+
+// Hash a string into a 32-bit seed
+function seedFrom(str) {
+  const buf = crypto.createHash("sha256").update(String(str)).digest();
+  return buf.readUInt32LE(0);
+}
+
+/** mulberry32; `state` can be saved and passed back in to resume the sequence */
+function createRng(state) {
+  let s = state >>> 0;
+  return {
+    next() {
+      s = (s + 0x6d2b79f5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    get state() {
+      return s;
+    },
+  };
+}
+
+// Seed for a new instance: reproducible when a base seed is configured
+function instanceSeed(baseSeed, instanceId) {
+  return baseSeed ? seedFrom(`${baseSeed}:${instanceId}`) : crypto.randomBytes(4).readUInt32LE(0);
+}
+
+function pickWeighted(entries, rng) {
+  const total = entries.reduce((sum, e) => sum + Math.max(0, Number(e.weight) || 0), 0);
+  if (total <= 0) return null;
+  let roll = rng.next() * total;
+  for (const e of entries) {
+    roll -= Math.max(0, Number(e.weight) || 0);
+    if (roll < 0) return e;
+  }
+  return entries[entries.length - 1];
+}
+
+/**
+ * Roll for an incident over `elapsedSec`. At most one incident fires per step;
+ * incidents still on cooldown are left out of the draw.
+ */
+function rollIncident(threat, elapsedSec, nowMs, rng) {
+  const table = Array.isArray(threat.incidentTable) ? threat.incidentTable : [];
+  const perHour = Number(threat.incidentsPerHour) || 0;
+  if (!table.length || perHour <= 0 || elapsedSec <= 0) return null;
+
+  const chance = 1 - Math.exp((-perHour * elapsedSec) / 3600);
+  if (rng.next() >= chance) return null;
+
+  const lastAt = threat.incidentLastAt || {};
+  const ready = table.filter((inc) => {
+    const cd = (Number(inc.cooldownSeconds) || 0) * 1000;
+    return !lastAt[inc.id] || nowMs - lastAt[inc.id] >= cd;
+  });
+  return pickWeighted(ready, rng);
+}
+
+/** Apply an incident's effect to the threat and append it to the incident log */
+function applyIncident(threat, incident, nowMs, rng) {
+  const effect = incident.effect || {};
+  const entry = {
+    seq: (threat.incidentSeq = (threat.incidentSeq || 0) + 1),
+    incidentId: incident.id,
+    name: incident.name || incident.id,
+    description: incident.description || "",
+    at: new Date(nowMs).toISOString(),
+    progressDelta: 0,
+    affected: [],
+  };
+
+  if (effect.type === "progress") {
+    const before = Number(threat.progress) || 0;
+    threat.progress = Math.max(0, Math.min(100, before + (Number(effect.delta) || 0)));
+    entry.progressDelta = threat.progress - before;
+  } else if (effect.type === "agents") {
+    const stat = effect.stat === "health" ? "health" : "sanity";
+    const delta = Number(effect.delta) || 0;
+    const all = [];
+    (threat.assignedAgents || []).forEach((b) => (b.agents || []).forEach((a) => all.push({ b, a })));
+    const targets =
+      effect.target === "random" ? (all.length ? [all[Math.floor(rng.next() * all.length)]] : []) : all;
+    targets.forEach(({ b, a }) => {
+      const before = Number(a[stat]) || 0;
+      if (delta > 0) {
+        // Healing can't push an agent past what it entered the threat with
+        const cap = Number(stat === "health" ? a.maxHealth : a.maxSanity) || Infinity;
+        a[stat] = Math.max(before, Math.min(cap, before + delta));
+      } else {
+        a[stat] = before + delta;
+      }
+      entry.affected.push({ playerId: b.playerId, agentId: a.agentId, stat, delta: a[stat] - before });
+    });
+  }
+
+  threat.incidentLastAt = { ...(threat.incidentLastAt || {}), [incident.id]: nowMs };
+  if (!Array.isArray(threat.incidentLog)) threat.incidentLog = [];
+  threat.incidentLog.push(entry);
+  if (threat.incidentLog.length > INCIDENT_LOG_LIMIT) {
+    threat.incidentLog = threat.incidentLog.slice(-INCIDENT_LOG_LIMIT);
+  }
+  return entry;
+}
+
+module.exports = {
+  createRng,
+  instanceSeed,
+  rollIncident,
+  applyIncident,
+};
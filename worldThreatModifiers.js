@@ -0,0 +1,135 @@
+// backend/worldThreatModifiers.js
+// Stat modifier pipeline feeding computeAgentPower.
+// - Modifier: { id, source, stat, type: "flat" | "percent", value, expiresAt?, ticksRemaining?, instanceId? }
+//   stat is courage | investigation | occultism (template-style "Courage" is accepted)
+// - effective = (base + sum of flat) * (1 + sum of percent / 100), never below 0
+// - Agent modifiers come with the snapshot (gear, buffs). expiresAt drops a modifier at
+//   that time; ticksRemaining drops it after that many engine steps. instanceId limits
+//   it to one threat.
+// - Threat-scoped modifiers live on the instance (template `statModifiers`) and apply
+//   to every agent assigned to it
+
+const MODIFIED_STATS = ["courage", "investigation", "occultism"];
+const MODIFIER_LIMITS = { flat: [-1000, 1000], percent: [-100, 1000] };
+const MAX_MODIFIERS_PER_AGENT = 20;
+
+function toNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeStat(stat) {
+  const s = String(stat || "").toLowerCase();
+  return MODIFIED_STATS.includes(s) ? s : null;
+}
+
+function sanitizeModifier(m, i, source) {
+  if (!m || typeof m !== "object") return null;
+  const stat = normalizeStat(m.stat);
+  const type = m.type === "percent" ? "percent" : m.type === undefined || m.type === "flat" ? "flat" : null;
+  if (!stat || !type || !Number.isFinite(Number(m.value))) return null;
+  const [min, max] = MODIFIER_LIMITS[type];
+
+  const out = {
+    id: String(m.id || `${source}-${stat}-${i}`),
+    source: String(m.source || source),
+    stat,
+    type,
+    value: Math.max(min, Math.min(max, Number(m.value))),
+  };
+  if (m.expiresAt !== undefined && m.expiresAt !== null) {
+    const ts = new Date(m.expiresAt).getTime();
+    if (!Number.isFinite(ts)) return null;
+    out.expiresAt = new Date(ts).toISOString();
+  }
+  const ticks = m.ticksRemaining ?? m.ticks;
+  if (ticks !== undefined && ticks !== null) {
+    if (!Number.isInteger(Number(ticks)) || Number(ticks) < 1) return null;
+    out.ticksRemaining = Number(ticks);
+  }
+  if (m.instanceId) out.instanceId = String(m.instanceId);
+  return out;
+}
+
+/**
+ * Normalize whatever the client sent: a list of modifiers, or the legacy
+ * { courage: 5, occultism: -2 } map (treated as flat, permanent).
+ */
+function sanitizeStatModifiers(raw, source = "agent") {
+  let list = [];
+  if (Array.isArray(raw)) list = raw;
+  else if (raw && typeof raw === "object") {
+    list = Object.entries(raw).map(([stat, value]) => ({ id: `${source}-${stat}`, stat, type: "flat", value }));
+  }
+  return list
+    .map((m, i) => sanitizeModifier(m, i, source))
+    .filter(Boolean)
+    .slice(0, MAX_MODIFIERS_PER_AGENT);
+}
+
+function isActive(m, nowMs, instanceId) {
+  if (m.instanceId && instanceId && m.instanceId !== instanceId) return false;
+  if (m.expiresAt && nowMs !== undefined && new Date(m.expiresAt).getTime() <= nowMs) return false;
+  if (m.ticksRemaining !== undefined && m.ticksRemaining <= 0) return false;
+  return true;
+}
+
+/**
+ * Effective courage/investigation/occultism for `agent` plus how each was reached.
+ * `threatModifiers` are the instance's own modifiers; nowMs (optional) filters expired ones.
+ */
+function applyStatModifiers(agent, { threatModifiers = [], instanceId, nowMs } = {}) {
+  const mods = [
+    ...(Array.isArray(agent?.statModifiers) ? agent.statModifiers : []),
+    ...(Array.isArray(threatModifiers) ? threatModifiers : []),
+  ].filter((m) => isActive(m, nowMs, instanceId));
+
+  const stats = {};
+  for (const stat of MODIFIED_STATS) {
+    const base = toNum(agent?.[stat], 0);
+    const own = mods.filter((m) => m.stat === stat);
+    const flat = own.filter((m) => m.type === "flat").reduce((s, m) => s + toNum(m.value, 0), 0);
+    const percent = own.filter((m) => m.type === "percent").reduce((s, m) => s + toNum(m.value, 0), 0);
+    const effective = Math.max(0, (base + flat) * (1 + percent / 100));
+    stats[stat] = {
+      base,
+      flat,
+      percent,
+      effective,
+      modifiers: own.map((m) => ({ id: m.id, source: m.source, type: m.type, value: m.value })),
+    };
+  }
+  return stats;
+}
+
+/**
+ * Agent modifiers after one engine step ending at `nowMs`: tick counters go down
+ * and anything expired or out of ticks is dropped. Returns the same array when
+ * nothing changed.
+ */
+function tickModifiers(list, nowMs) {
+  if (!Array.isArray(list) || !list.length) return list;
+  let changed = false;
+  const next = [];
+  for (const m of list) {
+    if (m.expiresAt && new Date(m.expiresAt).getTime() <= nowMs) {
+      changed = true;
+      continue;
+    }
+    if (m.ticksRemaining !== undefined) {
+      changed = true;
+      if (m.ticksRemaining <= 1) continue;
+      next.push({ ...m, ticksRemaining: m.ticksRemaining - 1 });
+      continue;
+    }
+    next.push(m);
+  }
+  return changed ? next : list;
+}
+
+module.exports = {
+  MODIFIED_STATS,
+  sanitizeStatModifiers,
+  applyStatModifiers,
+  tickModifiers,
+};
@@ -0,0 +1,164 @@
+// backend/worldThreatObjectives.js
+// Win conditions other than "progress reaches 100 before expiresAt".
+// - progress (default): the classic objective
+// - holdout { minAgents }: survive the timer; cleared if at least minAgents agents
+//   are still assigned and standing when it runs out. Progress shows time elapsed.
+// - escort { stat, threshold }: progress only advances while the pooled stat
+//   (health or sanity across every assigned agent, as % of their max) is above threshold
+// - race { target, winners }: the first `winners` directors to reach `target`
+//   power-seconds win; cleared once all places are taken. Progress tracks the leaders.
+// State lives on the instance as `objectiveState`; summarizeObjective() is what
+// gets archived with the finished threat.
+
+const OBJECTIVE_TYPES = ["progress", "holdout", "escort", "race"];
+
+function toNum(x, fallback = 0) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function createObjectiveState(objective) {
+  switch (objective?.type) {
+    case "holdout":
+      return { aliveAgents: 0, peakAliveAgents: 0, lowestAliveAfterPeak: null };
+    case "escort":
+      return { poolPercent: null, lowestPoolPercent: null, stalledSeconds: 0 };
+    case "race":
+      return { finishers: [] }; // { playerId, directorName, contribution, at, place }
+    default:
+      return {};
+  }
+}
+
+function liveAgents(t) {
+  const out = [];
+  (t.assignedAgents || []).forEach((b) => (b.agents || []).forEach((a) => out.push(a)));
+  return out;
+}
+
+// Pooled stat (health/sanity) of every assigned agent as a % of their max; null with nobody assigned
+function escortPoolPercent(t) {
+  const stat = t.objective?.stat === "sanity" ? "sanity" : "health";
+  const maxKey = stat === "sanity" ? "maxSanity" : "maxHealth";
+  const agents = liveAgents(t);
+  const max = agents.reduce((s, a) => s + Math.max(0, toNum(a[maxKey], toNum(a[stat], 0))), 0);
+  if (max <= 0) return null;
+  return (agents.reduce((s, a) => s + Math.max(0, toNum(a[stat], 0)), 0) / max) * 100;
+}
+
+/** Whether this step's power turns into progress (escort stalls below its threshold) */
+function progressAllowed(t) {
+  if (t.objective?.type !== "escort") return true;
+  const pool = escortPoolPercent(t);
+  return pool !== null && pool > toNum(t.objective.threshold, 0);
+}
+
+/**
+ * Update objectiveState/progress after one engine step and decide the outcome.
+ * `step` carries simEnd, expTs, elapsedSec and whether progress was allowed.
+ * Races also return the directors who took a place during this step.
+ */
+function evaluateObjective(t, { simEnd, expTs, elapsedSec, progressWasAllowed }) {
+  const type = t.objective?.type || "progress";
+  const state = t.objectiveState || (t.objectiveState = createObjectiveState(t.objective));
+  const timeUp = simEnd >= expTs;
+
+  if (type === "holdout") {
+    const alive = liveAgents(t).length;
+    state.aliveAgents = alive;
+    if (alive > state.peakAliveAgents) {
+      state.peakAliveAgents = alive;
+      state.lowestAliveAfterPeak = alive;
+    } else if (state.lowestAliveAfterPeak !== null) {
+      state.lowestAliveAfterPeak = Math.min(state.lowestAliveAfterPeak, alive);
+    }
+    const startTs = new Date(t.createdAt).getTime() + toNum(t.pausedSeconds, 0) * 1000; // admin pauses
+    const span = Math.max(1, expTs - startTs);
+    const held = alive >= toNum(t.objective.minAgents, 1);
+    t.progress = timeUp && held ? 100 : Math.min(99.99, ((simEnd - startTs) / span) * 100);
+    return { cleared: timeUp && held, expired: timeUp && !held };
+  }
+
+  if (type === "escort") {
+    const pool = escortPoolPercent(t);
+    state.poolPercent = pool;
+    if (pool !== null) {
+      state.lowestPoolPercent = state.lowestPoolPercent === null ? pool : Math.min(state.lowestPoolPercent, pool);
+    }
+    if (!progressWasAllowed) state.stalledSeconds += elapsedSec;
+  }
+
+  if (type === "race") {
+    const target = Math.max(1, toNum(t.objective.target, 1));
+    const winners = Math.max(1, toNum(t.objective.winners, 1));
+    const totals = t.contributions?.totals || {};
+    const done = new Set(state.finishers.map((f) => f.playerId));
+    const before = state.finishers.length;
+    const names = {};
+    (t.assignedAgents || []).forEach((b) => {
+      names[b.playerId] = b.directorName;
+    });
+    Object.entries(totals)
+      .filter(([pid, total]) => !done.has(pid) && total >= target)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([pid, total]) => {
+        if (state.finishers.length >= winners) return;
+        state.finishers.push({
+          playerId: pid,
+          directorName: names[pid] || "",
+          contribution: total,
+          at: new Date(simEnd).toISOString(),
+          place: state.finishers.length + 1,
+        });
+      });
+
+    // Progress = how close the current top `winners` places are to the target
+    const finished = new Set(state.finishers.map((f) => f.playerId));
+    const chasing = Object.entries(totals)
+      .filter(([pid]) => !finished.has(pid))
+      .map(([, total]) => Math.min(1, total / target))
+      .sort((a, b) => b - a)
+      .slice(0, winners - state.finishers.length);
+    const filled = state.finishers.length + chasing.reduce((s, v) => s + v, 0);
+    const complete = state.finishers.length >= winners;
+    t.progress = complete ? 100 : Math.min(99.99, (filled / winners) * 100);
+    return { cleared: complete, expired: !complete && timeUp, finishers: state.finishers.slice(before) };
+  }
+
+  return { cleared: t.progress >= 100, expired: t.progress < 100 && timeUp };
+}
+
+/** Objective outcome and its details, archived with the finished threat */
+function summarizeObjective(t) {
+  const objective = t.objective || { type: "progress" };
+  const state = t.objectiveState || {};
+  const base = { ...objective, outcome: t.status };
+  switch (objective.type) {
+    case "holdout":
+      return {
+        ...base,
+        aliveAgents: toNum(state.aliveAgents, 0),
+        peakAliveAgents: toNum(state.peakAliveAgents, 0),
+        lowestAliveAfterPeak: state.lowestAliveAfterPeak ?? null,
+      };
+    case "escort":
+      return {
+        ...base,
+        finalPoolPercent: state.poolPercent ?? null,
+        lowestPoolPercent: state.lowestPoolPercent ?? null,
+        stalledSeconds: toNum(state.stalledSeconds, 0),
+      };
+    case "race":
+      return { ...base, finishers: state.finishers || [] };
+    default:
+      return { ...base, type: "progress", finalProgress: toNum(t.progress, 0) };
+  }
+}
+
+module.exports = {
+  OBJECTIVE_TYPES,
+  createObjectiveState,
+  progressAllowed,
+  evaluateObjective,
+  summarizeObjective,
+};
@@ -0,0 +1,162 @@
+// backend/worldThreatPlayerAuth.js
+// Player identity tokens for the player-mutating routes (assign, unassign, support,
+// claim, casualty acks).
+// - JWT (HS256) sent as "Authorization: Bearer <token>", issued by the game server
+//   and verified here with a local key. Keys come from WORLD_THREAT_PLAYER_TOKEN_SECRETS
+//   as comma-separated "kid:secret" pairs; the token header's kid picks the key (a
+//   token without kid is accepted when exactly one key is configured).
+// - Claims: sub = playerId, name = directorName, exp (required), nbf/iat (optional),
+//   aud must match PLAYER_TOKENS.audience when that is set
+// - The request's playerId (path or body) and directorName (body) must match the
+//   token; when left out they are filled in from it
+// - 401 for a missing/invalid/expired token, 403 for a token of another player.
+// - With no keys configured the routes are refused (503), unless tokens were switched
+//   off explicitly (WORLD_THREAT_PLAYER_TOKENS=off, for local development); then
+//   requests pass through unauthenticated.
+
+const crypto = require("crypto");
+
+const TOKEN_ERRORS = {
+  TOKEN_MISSING: "TOKEN_MISSING",
+  TOKEN_INVALID: "TOKEN_INVALID",
+  TOKEN_EXPIRED: "TOKEN_EXPIRED",
+  AUTH_NOT_CONFIGURED: "AUTH_NOT_CONFIGURED",
+  PLAYER_MISMATCH: "PLAYER_MISMATCH",
+  DIRECTOR_MISMATCH: "DIRECTOR_MISMATCH",
+};
+
+function parseTokenSecrets(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [kid, ...rest] = entry.split(":");
+      const secret = rest.join(":"); // secrets may contain ':'
+      if (!kid || !secret) throw new Error(`Invalid player token secret "${kid || entry}": expected kid:secret`);
+      return { kid, secret };
+    });
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest();
+}
+
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+/** HS256 token for `claims` ({ sub, name, exp, ... }), as the game server would issue it */
+function signPlayerToken(claims, { kid, secret }) {
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT", ...(kid ? { kid } : {}) }));
+  const payload = base64url(JSON.stringify(claims));
+  return `${header}.${payload}.${hmac(secret, `${header}.${payload}`)}`;
+}
+
+function createPlayerAuth({ secrets = [], config, disabled = false }) {
+  function decodePart(part) {
+    try {
+      const value = JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+      return value && typeof value === "object" ? value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Claims of a valid token, or { code, error } */
+  function verify(token, nowMs = Date.now()) {
+    const invalid = (error) => ({ code: TOKEN_ERRORS.TOKEN_INVALID, error });
+    const parts = String(token || "").split(".");
+    if (parts.length !== 3) return invalid("Malformed player token.");
+    const header = decodePart(parts[0]);
+    const claims = decodePart(parts[1]);
+    if (!header || !claims) return invalid("Malformed player token.");
+    if (header.alg !== "HS256") return invalid("Unsupported token algorithm.");
+
+    const key = header.kid ? secrets.find((s) => s.kid === header.kid) : secrets.length === 1 ? secrets[0] : null;
+    if (!key) return invalid("Unknown token key.");
+    if (!safeEqual(hmac(key.secret, `${parts[0]}.${parts[1]}`), parts[2])) return invalid("Invalid token signature.");
+
+    const now = nowMs / 1000;
+    const leeway = config.leewaySeconds;
+    if (!Number.isFinite(claims.exp)) return invalid("Token has no exp claim.");
+    if (claims.exp + leeway <= now) return { code: TOKEN_ERRORS.TOKEN_EXPIRED, error: "Player token has expired." };
+    if (Number.isFinite(claims.nbf) && claims.nbf - leeway > now) return invalid("Player token is not valid yet.");
+    if (config.audience) {
+      const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!aud.includes(config.audience)) return invalid("Player token is for another audience.");
+    }
+    if (!claims.sub || !claims.name) return invalid("Token must carry sub (playerId) and name (directorName).");
+    return claims;
+  }
+
+  /**
+   * Express middleware binding the request to the token's player. Sets
+   * req.player = { playerId, directorName } and fills body.playerId /
+   * body.directorName when the client left them out.
+   */
+  function guard() {
+    return (req, res, next) => {
+      if (disabled) return next();
+      if (!secrets.length) {
+        return res.status(503).json({
+          error: "Player tokens are not configured on this server.",
+          code: TOKEN_ERRORS.AUTH_NOT_CONFIGURED,
+        });
+      }
+
+      const bearer = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+      if (!bearer) {
+        res.set("WWW-Authenticate", 'Bearer realm="world-threats"');
+        return res.status(401).json({ error: "Player token required.", code: TOKEN_ERRORS.TOKEN_MISSING });
+      }
+      const claims = verify(bearer[1]);
+      if (claims.error) {
+        res.set("WWW-Authenticate", 'Bearer realm="world-threats", error="invalid_token"');
+        return res.status(401).json({ error: claims.error, code: claims.code });
+      }
+
+      const playerId = String(claims.sub);
+      const directorName = String(claims.name);
+      const body = req.body && typeof req.body === "object" ? req.body : (req.body = {});
+      const claimedId = req.params.playerId ?? body.playerId;
+      const differs = (value, expected) => value !== undefined && value !== null && String(value) !== expected;
+      if (differs(claimedId, playerId)) {
+        return res.status(403).json({ error: "Token belongs to another player.", code: TOKEN_ERRORS.PLAYER_MISMATCH });
+      }
+      if (differs(body.directorName, directorName)) {
+        return res.status(403).json({
+          error: "directorName does not match the player token.",
+          code: TOKEN_ERRORS.DIRECTOR_MISMATCH,
+        });
+      }
+
+      body.playerId = playerId;
+      body.directorName = directorName;
+      req.player = { playerId, directorName };
+      next();
+    };
+  }
+
+  return {
+    configured: secrets.length > 0,
+    disabled,
+    verify,
+    guard,
+  };
+}
+
+module.exports = {
+  TOKEN_ERRORS,
+  parseTokenSecrets,
+  signPlayerToken,
+  createPlayerAuth,
+};
@@ -0,0 +1,137 @@
+// backend/worldThreatRewards.js
+// Reward tiers and the claim ledger for archived threats.
+// - Tiers come from a player's rank in contributions.totals:
+//   top_contributor (rank 1), top_percent (top REWARD_TIERS.topPercent %), participant
+// - Outcome (cleared | expired) picks the tier table
+// - Race objectives reward only the directors who took a place, from the cleared
+//   table: 1st place is top_contributor, the other places top_percent
+// - The ledger holds one claim per (instanceId, playerId); claiming twice
+//   returns the original record instead of granting a second reward
+
+const crypto = require("crypto");
+
+/** Rank every player who took part in an archived threat */
+function rankContributors(threat) {
+  const totals = threat?.contributions?.totals || {};
+  const ids = new Set(Object.keys(totals));
+  // Players whose whole bundle went down still keep eligibility from the archive map
+  Object.keys(threat?.eligibleForRewardByPlayerId || {}).forEach((pid) => ids.add(pid));
+
+  const grand = Object.values(totals).reduce((sum, v) => sum + (Number(v) || 0), 0);
+  return [...ids]
+    .map((playerId) => {
+      const total = Number(totals[playerId]) || 0;
+      return { playerId, total, share: grand > 0 ? total / grand : 0 };
+    })
+    .sort((a, b) => b.total - a.total)
+    .map((row, i) => ({ ...row, rank: i + 1 }));
+}
+
+function tierForRank(rank, total, playerCount, topPercent) {
+  if (rank === 1 && total > 0) return "top_contributor";
+  const topCount = Math.max(1, Math.ceil((playerCount * topPercent) / 100));
+  if (rank <= topCount && total > 0) return "top_percent";
+  return "participant";
+}
+
+// Race winners in finishing order; everyone else gets nothing
+function computeRaceRewards(threat, tiers) {
+  const ranked = rankContributors(threat);
+  const finishers = threat.objectiveResult?.finishers || threat.objectiveState?.finishers || [];
+  return finishers.map((f) => {
+    const row = ranked.find((r) => r.playerId === f.playerId) || { total: f.contribution, share: 0 };
+    const tier = f.place === 1 ? "top_contributor" : "top_percent";
+    return {
+      instanceId: threat.instanceId,
+      playerId: f.playerId,
+      outcome: threat.status,
+      tier,
+      rank: f.place,
+      contribution: row.total,
+      share: row.share,
+      rewardMultiplier: tiers.cleared[tier].rewardMultiplier,
+    };
+  });
+}
+
+/** Reward entitlement for every participant of an archived threat */
+function computeRewards(threat, tiers) {
+  if (threat.objective?.type === "race") return computeRaceRewards(threat, tiers);
+  const table = tiers[threat.status];
+  if (!table) return [];
+  const ranked = rankContributors(threat);
+  return ranked.map((row) => {
+    const tier = tierForRank(row.rank, row.total, ranked.length, tiers.topPercent);
+    return {
+      instanceId: threat.instanceId,
+      playerId: row.playerId,
+      outcome: threat.status,
+      tier,
+      rank: row.rank,
+      contribution: row.total,
+      share: row.share,
+      rewardMultiplier: table[tier].rewardMultiplier,
+    };
+  });
+}
+
+function createRewardLedger(tiers) {
+  let claims = {}; // instanceId -> playerId -> claim
+
+  function claim(threat, playerId) {
+    const pid = String(playerId);
+    const existing = claims[threat.instanceId]?.[pid];
+    if (existing) return { claim: existing, alreadyClaimed: true };
+
+    const entitlement = computeRewards(threat, tiers).find((r) => r.playerId === pid);
+    if (!entitlement) {
+      return {
+        error:
+          threat.objective?.type === "race"
+            ? "Player did not place in this race."
+            : "Player did not take part in this threat.",
+      };
+    }
+
+    const record = {
+      claimId: crypto.randomUUID(),
+      ...entitlement,
+      claimedAt: new Date().toISOString(),
+    };
+    if (!claims[threat.instanceId]) claims[threat.instanceId] = {};
+    claims[threat.instanceId][pid] = record;
+    return { claim: record, alreadyClaimed: false };
+  }
+
+  // Entitlements annotated with claim state
+  function statusFor(threat) {
+    const byPlayer = claims[threat.instanceId] || {};
+    return computeRewards(threat, tiers).map((r) => ({
+      ...r,
+      claimed: Boolean(byPlayer[r.playerId]),
+      claimedAt: byPlayer[r.playerId]?.claimedAt || null,
+      claimId: byPlayer[r.playerId]?.claimId || null,
+    }));
+  }
+
+  // Claims can only be made against archived threats, so drop what fell out of the archive
+  function prune(keepInstanceIds) {
+    const keep = new Set(keepInstanceIds);
+    for (const id of Object.keys(claims)) if (!keep.has(id)) delete claims[id];
+  }
+
+  return {
+    claim,
+    statusFor,
+    prune,
+    exportLedger: () => claims,
+    restoreLedger(saved) {
+      claims = saved && typeof saved === "object" ? saved : {};
+    },
+  };
+}
+
+module.exports = {
+  computeRewards,
+  createRewardLedger,
+};
@@ -0,0 +1,198 @@
+// backend/worldThreatSeasons.js
+// Long-term standings across threats.
+// - Every archived threat adds one history entry per participating director
+//   (contribution, share, rank, outcome, casualties); histories outlive the
+//   50-entry threat archive; threats an admin finished or cycled aren't recorded
+// - Aggregates are kept for "all-time" and for every season whose
+//   [startsAt, endsAt) window contains the threat's endedAt
+// - Seasons are admin-managed; a new season is backfilled from the histories
+
+const ALL_TIME = "all-time";
+const HISTORY_LIMIT_PER_PLAYER = 1000;
+const LEADERBOARD_METRICS = ["powerSeconds", "clears", "threatsJoined", "expirations", "casualties"];
+
+function emptyTotals() {
+  return { powerSeconds: 0, threatsJoined: 0, clears: 0, expirations: 0, casualties: 0 };
+}
+
+function createSeasonTracker() {
+  let seasons = []; // { id, name, startsAt, endsAt }
+  let histories = {}; // playerId -> [entry] newest first
+  let aggregates = {}; // seasonId -> playerId -> aggregate
+
+  // One history entry per director that took part in `threat`
+  function entriesFor(threat) {
+    const totals = threat.contributions?.totals || {};
+    const ids = new Set([...Object.keys(totals), ...Object.keys(threat.eligibleForRewardByPlayerId || {})]);
+    const grand = Object.values(totals).reduce((s, v) => s + (Number(v) || 0), 0);
+    const names = {};
+    (threat.assignedAgents || []).forEach((b) => {
+      names[b.playerId] = b.directorName;
+    });
+    const casualties = {};
+    (threat.casualties || []).forEach((c) => {
+      casualties[c.playerId] = (casualties[c.playerId] || 0) + 1;
+      if (!names[c.playerId]) names[c.playerId] = c.directorName;
+    });
+
+    const ranked = [...ids]
+      .map((playerId) => ({ playerId, contribution: Number(totals[playerId]) || 0 }))
+      .sort((a, b) => b.contribution - a.contribution);
+    return ranked.map((row, i) => ({
+      playerId: row.playerId,
+      directorName: names[row.playerId] || "",
+      instanceId: threat.instanceId,
+      templateId: threat.templateId,
+      name: threat.name,
+      zone: threat.zone,
+      theme: threat.theme,
+      outcome: threat.status,
+      endedAt: threat.endedAt,
+      contribution: row.contribution,
+      share: grand > 0 ? row.contribution / grand : 0,
+      rank: i + 1,
+      participants: ranked.length,
+      casualties: casualties[row.playerId] || 0,
+    }));
+  }
+
+  function seasonsAt(iso) {
+    const ts = new Date(iso).getTime();
+    return seasons
+      .filter((s) => ts >= new Date(s.startsAt).getTime() && ts < new Date(s.endsAt).getTime())
+      .map((s) => s.id);
+  }
+
+  function addToAggregate(seasonId, e) {
+    if (!aggregates[seasonId]) aggregates[seasonId] = {};
+    const byPlayer = aggregates[seasonId];
+    if (!byPlayer[e.playerId]) {
+      byPlayer[e.playerId] = { playerId: e.playerId, directorName: e.directorName, ...emptyTotals(), byZone: {}, byTheme: {} };
+    }
+    const agg = byPlayer[e.playerId];
+    if (e.directorName) agg.directorName = e.directorName;
+
+    const bump = (t) => {
+      t.powerSeconds += e.contribution;
+      t.threatsJoined += 1;
+      if (e.outcome === "cleared") t.clears += 1;
+      if (e.outcome === "expired") t.expirations += 1;
+      t.casualties += e.casualties;
+    };
+    bump(agg);
+    if (!agg.byZone[e.zone]) agg.byZone[e.zone] = emptyTotals();
+    bump(agg.byZone[e.zone]);
+    if (!agg.byTheme[e.theme]) agg.byTheme[e.theme] = emptyTotals();
+    bump(agg.byTheme[e.theme]);
+  }
+
+  /** Fold an archived threat into histories and aggregates */
+  function recordThreat(threat) {
+    const entries = entriesFor(threat);
+    const seasonIds = [ALL_TIME, ...seasonsAt(threat.endedAt)];
+    entries.forEach((e) => {
+      const list = histories[e.playerId] || (histories[e.playerId] = []);
+      list.unshift(e);
+      if (list.length > HISTORY_LIMIT_PER_PLAYER) list.length = HISTORY_LIMIT_PER_PLAYER;
+      seasonIds.forEach((id) => addToAggregate(id, e));
+    });
+    return entries.length;
+  }
+
+  function rebuildSeason(season) {
+    aggregates[season.id] = {};
+    const start = new Date(season.startsAt).getTime();
+    const end = new Date(season.endsAt).getTime();
+    Object.values(histories).forEach((list) =>
+      list.forEach((e) => {
+        const ts = new Date(e.endedAt).getTime();
+        if (ts >= start && ts < end) addToAggregate(season.id, e);
+      })
+    );
+  }
+
+  // ----------------- Seasons -----------------
+  function addSeason({ id, name, startsAt, endsAt }) {
+    if (!/^[a-z0-9][a-z0-9-_]*$/i.test(String(id || "")) || id === ALL_TIME) {
+      return { error: "id must be alphanumeric (dashes/underscores allowed) and not \"all-time\"." };
+    }
+    if (seasons.some((s) => s.id === id)) return { error: `Season "${id}" already exists.` };
+    const start = new Date(startsAt).getTime();
+    const end = new Date(endsAt).getTime();
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+      return { error: "startsAt and endsAt must be ISO timestamps with startsAt before endsAt." };
+    }
+    const season = {
+      id,
+      name: name ? String(name) : id,
+      startsAt: new Date(start).toISOString(),
+      endsAt: new Date(end).toISOString(),
+    };
+    seasons.push(season);
+    seasons.sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+    rebuildSeason(season);
+    return { season };
+  }
+
+  function removeSeason(id) {
+    const before = seasons.length;
+    seasons = seasons.filter((s) => s.id !== id);
+    delete aggregates[id];
+    return seasons.length !== before;
+  }
+
+  function currentSeason(nowMs) {
+    return seasons.find((s) => nowMs >= new Date(s.startsAt).getTime() && nowMs < new Date(s.endsAt).getTime()) || null;
+  }
+
+  /**
+   * Ranked standings. `by` is one of LEADERBOARD_METRICS; zone/theme narrow the
+   * ranking to that slice of each player's aggregate.
+   */
+  function leaderboard(seasonId, { by = "powerSeconds", zone, theme, limit = 100 } = {}) {
+    const byPlayer = aggregates[seasonId] || {};
+    const max = Math.max(1, Math.min(1000, Number(limit) || 100));
+    return Object.values(byPlayer)
+      .map((agg) => {
+        const slice = zone ? agg.byZone[zone] : theme ? agg.byTheme[theme] : agg;
+        return slice ? { playerId: agg.playerId, directorName: agg.directorName, ...pickTotals(slice) } : null;
+      })
+      .filter((row) => row && row.threatsJoined > 0)
+      .sort((a, b) => b[by] - a[by] || b.powerSeconds - a.powerSeconds)
+      .slice(0, max)
+      .map((row, i) => ({ rank: i + 1, ...row }));
+  }
+
+  function pickTotals(t) {
+    const out = {};
+    Object.keys(emptyTotals()).forEach((k) => {
+      out[k] = t[k];
+    });
+    return out;
+  }
+
+  return {
+    ALL_TIME,
+    LEADERBOARD_METRICS,
+    recordThreat,
+    addSeason,
+    removeSeason,
+    currentSeason,
+    leaderboard,
+    seasons: () => seasons.slice(),
+    hasSeason: (id) => id === ALL_TIME || seasons.some((s) => s.id === id),
+    history: (playerId) => histories[playerId] || [],
+    playerAggregate: (seasonId, playerId) => aggregates[seasonId]?.[playerId] || null,
+    exportState: () => ({ seasons, histories, aggregates }),
+    restoreState(saved) {
+      if (!saved) return;
+      seasons = Array.isArray(saved.seasons) ? saved.seasons : [];
+      histories = saved.histories && typeof saved.histories === "object" ? saved.histories : {};
+      aggregates = saved.aggregates && typeof saved.aggregates === "object" ? saved.aggregates : {};
+    },
+  };
+}
+
+module.exports = {
+  createSeasonTracker,
+};
@@ -0,0 +1,278 @@
+// backend/worldThreatSnapshotGuard.js
+// Integrity checks for agent snapshots submitted by clients (assign, swap).
+// - Signatures: the game server signs each snapshot with a shared secret. Secrets come
+//   from WORLD_THREAT_SNAPSHOT_SECRETS as comma-separated "keyId:secret" pairs, and
+//   every agent carries
+//     keyId      which secret signed it
+//     signedAt   ISO time (or unix ms) it was signed; older than signatureMaxAgeMinutes is refused
+//     signature  hex HMAC-SHA256(secret, "<playerId>.<canonical JSON of the agent
+//                without keyId/signature>"), object keys sorted at every level
+//   With no secrets configured snapshots are refused (503), unless signing was switched
+//   off explicitly (WORLD_THREAT_SNAPSHOT_SIGNING=off); then they are accepted unsigned
+//   (bounds still apply).
+// - Bounds (SNAPSHOT_RULES in worldThreatConfig.js): stats, health/sanity, known
+//   skill names, worldThreatModifiers ranges and stat modifier ranges (each modifier,
+//   and the flat/percent totals per stat, so stacking can't get around them). Out-of-range
+//   values are clamped or the agent is refused, depending on onOutOfBounds.
+// - Every refused or adjusted agent is written to an anti-cheat log for review.
+
+const crypto = require("crypto");
+const { MODIFIED_STATS } = require("./worldThreatModifiers");
+
+const ANTI_CHEAT_LOG_LIMIT = 5000;
+const LOGGED_SNAPSHOT_MAX_CHARS = 4000;
+
+const INTEGRITY_CODES = {
+  MISSING_SIGNATURE: "MISSING_SIGNATURE",
+  UNKNOWN_KEY_ID: "UNKNOWN_KEY_ID",
+  STALE_SIGNATURE: "STALE_SIGNATURE",
+  BAD_SIGNATURE: "BAD_SIGNATURE",
+  OUT_OF_BOUNDS: "OUT_OF_BOUNDS",
+  UNKNOWN_SKILL: "UNKNOWN_SKILL",
+  TOO_MANY_SKILLS: "TOO_MANY_SKILLS",
+  UNKNOWN_MODIFIER: "UNKNOWN_MODIFIER",
+  TOO_MANY_MODIFIERS: "TOO_MANY_MODIFIERS",
+};
+const BOUNDS_MESSAGES = {
+  OUT_OF_BOUNDS: (i) => `${i.field} is outside the allowed range.`,
+  UNKNOWN_SKILL: (i) => `Unknown skill "${i.submitted}".`,
+  TOO_MANY_SKILLS: (i) => `At most ${i.applied} skills are allowed.`,
+  UNKNOWN_MODIFIER: (i) => `${i.field} is not a known modifier.`,
+  TOO_MANY_MODIFIERS: (i) => `At most ${i.applied} stat modifiers are allowed.`,
+};
+const SIGNATURE_CODES = ["MISSING_SIGNATURE", "UNKNOWN_KEY_ID", "STALE_SIGNATURE", "BAD_SIGNATURE"];
+
+function parseSnapshotSecrets(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [keyId, ...rest] = entry.split(":");
+      const secret = rest.join(":"); // secrets may contain ':'
+      if (!keyId || !secret) throw new Error(`Invalid snapshot secret "${keyId || entry}": expected keyId:secret`);
+      return { keyId, secret };
+    });
+}
+
+// JSON with object keys sorted at every level, so client and server hash the same bytes
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/** Signature the game server should attach to `agent` for `playerId` */
+function signSnapshot(agent, playerId, secret) {
+  const { keyId, signature, ...body } = agent || {};
+  return crypto.createHmac("sha256", secret).update(`${playerId}.${canonicalJson(body)}`).digest("hex");
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest();
+}
+
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function clamp(v, { min, max }) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function createSnapshotGuard({ rules, secrets = [], knownSkills = [], signingDisabled = false }) {
+  let log = [];
+  let logSeq = 0;
+
+  function verifySignature(raw, playerId, nowMs) {
+    const issue = (code, message) => ({ code, message });
+    if (!raw.signature || !raw.keyId) return issue(INTEGRITY_CODES.MISSING_SIGNATURE, "Snapshot is not signed.");
+    const cred = secrets.find((s) => s.keyId === String(raw.keyId));
+    if (!cred) return issue(INTEGRITY_CODES.UNKNOWN_KEY_ID, "Snapshot was signed with an unknown key.");
+    const signedAt = new Date(raw.signedAt).getTime();
+    if (!Number.isFinite(signedAt) || nowMs - signedAt > rules.signatureMaxAgeMinutes * 60000) {
+      return issue(INTEGRITY_CODES.STALE_SIGNATURE, "Snapshot signature is missing signedAt or too old.");
+    }
+    if (!safeEqual(signSnapshot(raw, playerId, cred.secret), String(raw.signature).toLowerCase())) {
+      return issue(INTEGRITY_CODES.BAD_SIGNATURE, "Snapshot signature does not match.");
+    }
+    return null;
+  }
+
+  // Clamp a sanitized agent in place, collecting one issue per adjusted field
+  function enforceBounds(agent) {
+    const issues = [];
+    const bound = (field, range, value = agent[field]) => {
+      const applied = clamp(value, range);
+      if (applied !== value) {
+        issues.push({ code: INTEGRITY_CODES.OUT_OF_BOUNDS, field, submitted: value, applied });
+      }
+      return applied;
+    };
+
+    MODIFIED_STATS.forEach((stat) => {
+      agent[stat] = bound(stat, rules.stats);
+    });
+    agent.health = bound("health", rules.health);
+    agent.sanity = bound("sanity", rules.sanity);
+    agent.maxHealth = agent.health;
+    agent.maxSanity = agent.sanity;
+
+    const unknown = agent.skills.filter((s) => !knownSkills.includes(s));
+    unknown.forEach((s) =>
+      issues.push({ code: INTEGRITY_CODES.UNKNOWN_SKILL, field: "skills", submitted: s, applied: null })
+    );
+    const skills = [...new Set(agent.skills.filter((s) => knownSkills.includes(s)))];
+    if (skills.length > rules.maxSkills) {
+      issues.push({
+        code: INTEGRITY_CODES.TOO_MANY_SKILLS,
+        field: "skills",
+        submitted: skills.length,
+        applied: rules.maxSkills,
+      });
+    }
+    agent.skills = skills.slice(0, rules.maxSkills);
+
+    const wt = {};
+    Object.entries(agent.worldThreatModifiers || {}).forEach(([key, value]) => {
+      const range = rules.worldThreatModifiers[key];
+      if (!range) {
+        const field = `worldThreatModifiers.${key}`;
+        issues.push({ code: INTEGRITY_CODES.UNKNOWN_MODIFIER, field, submitted: value, applied: null });
+        return;
+      }
+      const n = Number(value);
+      wt[key] = bound(`worldThreatModifiers.${key}`, range, Number.isFinite(n) ? n : 1);
+    });
+    agent.worldThreatModifiers = wt;
+
+    const mods = agent.statModifiers;
+    if (mods.length > rules.statModifiers.maxCount) {
+      issues.push({
+        code: INTEGRITY_CODES.TOO_MANY_MODIFIERS,
+        field: "statModifiers",
+        submitted: mods.length,
+        applied: rules.statModifiers.maxCount,
+      });
+    }
+    const capped = mods.slice(0, rules.statModifiers.maxCount).map((m) => ({
+      ...m,
+      value: bound(`statModifiers.${m.id}`, rules.statModifiers[m.type], m.value),
+    }));
+
+    // Totals per stat and type: past the limit, the last modifiers pushing that way are cut down
+    const totalRange = { flat: rules.statModifiers.totalFlat, percent: rules.statModifiers.totalPercent };
+    MODIFIED_STATS.forEach((stat) =>
+      ["flat", "percent"].forEach((type) => {
+        const own = capped.filter((m) => m.stat === stat && m.type === type);
+        const submitted = own.reduce((sum, m) => sum + m.value, 0);
+        const applied = clamp(submitted, totalRange[type]);
+        if (applied === submitted) return;
+        let excess = submitted - applied; // > 0: too high, < 0: too low
+        own.reverse().forEach((m) => {
+          if (Math.sign(m.value) !== Math.sign(excess)) return;
+          const cut = excess > 0 ? Math.min(m.value, excess) : Math.max(m.value, excess);
+          m.value -= cut;
+          excess -= cut;
+        });
+        const field = `statModifiers.total.${stat}.${type}`;
+        issues.push({ code: INTEGRITY_CODES.OUT_OF_BOUNDS, field, submitted, applied });
+      })
+    );
+    const kept = capped.filter((m) => m.value !== 0);
+    agent.statModifiers = kept;
+    return issues;
+  }
+
+  function record(entry) {
+    let snapshot = canonicalJson(entry.snapshot ?? null);
+    const truncated = snapshot.length > LOGGED_SNAPSHOT_MAX_CHARS;
+    if (truncated) snapshot = snapshot.slice(0, LOGGED_SNAPSHOT_MAX_CHARS);
+    log.push({ id: ++logSeq, at: new Date().toISOString(), ...entry, snapshot, snapshotTruncated: truncated });
+    if (log.length > ANTI_CHEAT_LOG_LIMIT) log = log.slice(-ANTI_CHEAT_LOG_LIMIT);
+  }
+
+  /**
+   * Check raw client snapshots for `playerId` and turn them into agents.
+   * Returns { agents } (possibly clamped) or { status, violations } when any agent
+   * is refused ({ status: 503, error } when signing isn't configured). `sanitize` is the engine's sanitizeAgentSnapshot; `context`
+   * ({ route, ip, instanceId }) goes into the anti-cheat log.
+   */
+  function inspect(rawAgents, playerId, { nowMs, sanitize, context = {} }) {
+    if (!secrets.length && !signingDisabled) {
+      return { status: 503, error: "Snapshot signing is not configured on this server." };
+    }
+    const agents = [];
+    const violations = [];
+    rawAgents.forEach((raw) => {
+      const submitted = raw && typeof raw === "object" ? raw : {};
+      const agentId = submitted.agentId ? String(submitted.agentId) : null;
+      const base = { playerId: String(playerId), agentId, ...context, snapshot: submitted };
+
+      const sigIssue = secrets.length ? verifySignature(submitted, String(playerId), nowMs) : null;
+      if (sigIssue) {
+        violations.push({ ...sigIssue, agentId });
+        record({ ...base, outcome: "rejected", issues: [sigIssue] });
+        return;
+      }
+
+      const agent = sanitize(submitted);
+      const issues = enforceBounds(agent);
+      if (!issues.length) {
+        agents.push(agent);
+        return;
+      }
+      if (rules.onOutOfBounds === "reject") {
+        issues.forEach((i) => violations.push({ ...i, agentId, message: BOUNDS_MESSAGES[i.code](i) }));
+        record({ ...base, outcome: "rejected", issues });
+        return;
+      }
+      record({ ...base, outcome: "clamped", issues });
+      agents.push(agent);
+    });
+
+    if (!violations.length) return { agents };
+    const signatureFailed = violations.some((v) => SIGNATURE_CODES.includes(v.code));
+    return { status: signatureFailed ? 403 : 422, violations };
+  }
+
+  /** Anti-cheat log, newest first. Filters: playerId, agentId, outcome, code, limit */
+  function queryLog({ playerId, agentId, outcome, code, limit } = {}) {
+    const n = Math.max(1, Math.min(1000, Number(limit) || 100));
+    return log
+      .filter((e) => !playerId || e.playerId === String(playerId))
+      .filter((e) => !agentId || e.agentId === String(agentId))
+      .filter((e) => !outcome || e.outcome === outcome)
+      .filter((e) => !code || e.issues.some((i) => i.code === code))
+      .slice(-n)
+      .reverse();
+  }
+
+  return {
+    signingEnabled: secrets.length > 0,
+    signingDisabled,
+    inspect,
+    enforceBounds, // clamp one sanitized agent without logging (previews)
+    queryLog,
+    exportState: () => ({ log, logSeq }),
+    restoreState(saved) {
+      if (!saved) return;
+      log = Array.isArray(saved.log) ? saved.log.slice(-ANTI_CHEAT_LOG_LIMIT) : [];
+      logSeq = Number.isFinite(saved.logSeq) ? saved.logSeq : log.length;
+    },
+  };
+}
+
+module.exports = {
+  INTEGRITY_CODES,
+  parseSnapshotSecrets,
+  canonicalJson,
+  signSnapshot,
+  createSnapshotGuard,
+};
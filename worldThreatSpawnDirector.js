@@ -0,0 +1,151 @@
+// backend/worldThreatSpawnDirector.js
+// Chooses which template spawns next.
+// - Weighted draw by template.spawnWeight (default 1; 0 = scheduled-only)
+// - No-repeat windows: the last N templates / last N zones are left out of the draw
+//   (relaxed zone-first if they would exclude everything)
+// - Difficulty curve: templates close to the target difficulty for the current
+//   hour/weekday get more weight
+// - Admin schedule: entries force a template at a given time; they fire once their
+//   zone is free and skip its cooldown. An entry held up by an occupied zone is marked
+//   with delayedBy (the occupying instance) and delayedSince
+// - zoneWeight(zone) (optional) scales each template's weight, e.g. by zone corruption
+// - blockedZones ({ zone: reason }) leaves out zones that can't take a threat right
+//   now (already active, cooling down); never relaxed
+
+const crypto = require("crypto");
+const { createRng, instanceSeed } = require("./worldThreatIncidents");
+
+const HISTORY_LIMIT = 50;
+
+function createSpawnDirector({ config, rngSeed = "", zoneWeight = null }) {
+  let history = []; // newest first: { templateId, zone, at, source, scheduleId? }
+  let schedule = []; // pending: { id, templateId, at, note, createdBy, createdAt }
+  let rngState = instanceSeed(rngSeed, "spawn-director");
+
+  function targetDifficulty(nowMs) {
+    const local = new Date(nowMs + (config.timezoneOffsetMinutes || 0) * 60000);
+    const hour = local.getUTCHours();
+    const day = local.getUTCDay();
+    const band = (config.difficultyCurve || []).find((b) => hour >= b.hours[0] && hour < b.hours[1]);
+    if (!band) return null;
+    const weekend = day === 0 || day === 6;
+    return band.target + (weekend ? config.weekendBonus || 0 : 0);
+  }
+
+  /** Weight of every template for a draw at `nowMs` (0 = excluded) */
+  function weights(templates, nowMs, { blockedZones = {} } = {}) {
+    const target = targetDifficulty(nowMs);
+    const recentTemplates = history.slice(0, config.noRepeatTemplates || 0).map((h) => h.templateId);
+    const recentZones = history.slice(0, config.noRepeatZones || 0).map((h) => h.zone);
+
+    const base = templates.map((t) => {
+      let w = Math.max(0, Number(t.spawnWeight ?? 1) || 0);
+      if (target !== null && w > 0) {
+        w *= 1 / (1 + (config.curveFalloff || 0) * Math.abs(t.difficulty - target));
+      }
+      const zoneFactor = zoneWeight ? Math.max(0, Number(zoneWeight(t.zone, nowMs)) || 0) : 1;
+      w *= zoneFactor;
+      const excluded = blockedZones[t.zone] || null;
+      if (excluded) w = 0;
+      return { templateId: t.id, zone: t.zone, difficulty: t.difficulty, zoneFactor, weight: w, excluded };
+    });
+
+    const apply = (useZones) =>
+      base.map((row) => {
+        if (row.excluded) return row;
+        let excluded = null;
+        if (recentTemplates.includes(row.templateId)) excluded = "recentTemplate";
+        else if (useZones && recentZones.includes(row.zone)) excluded = "recentZone";
+        return { ...row, excluded, weight: excluded ? 0 : row.weight };
+      });
+
+    let rows = apply(true);
+    if (!rows.some((r) => r.weight > 0)) rows = apply(false);
+    if (!rows.some((r) => r.weight > 0)) rows = base; // tiny pools: fall back to plain weights
+    return { targetDifficulty: target, rows };
+  }
+
+  function pickTemplate(templates, nowMs, opts) {
+    const { rows } = weights(templates, nowMs, opts);
+    const total = rows.reduce((sum, r) => sum + r.weight, 0);
+    if (total <= 0) return null;
+
+    const rng = createRng(rngState);
+    let roll = rng.next() * total;
+    rngState = rng.state;
+    for (let i = 0; i < rows.length; i++) {
+      roll -= rows[i].weight;
+      if (roll < 0 && rows[i].weight > 0) return templates[i];
+    }
+    return templates[rows.map((r) => r.weight > 0).lastIndexOf(true)];
+  }
+
+  function recordSpawn(template, nowMs, source, scheduleId) {
+    history.unshift({
+      templateId: template.id,
+      zone: template.zone,
+      at: new Date(nowMs).toISOString(),
+      source, // "rotation" | "schedule" | "admin"
+      ...(scheduleId ? { scheduleId } : {}),
+    });
+    if (history.length > HISTORY_LIMIT) history = history.slice(0, HISTORY_LIMIT);
+  }
+
+  // ----------------- Schedule -----------------
+  function addScheduled({ templateId, at, note, createdBy }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      templateId,
+      at: new Date(at).toISOString(),
+      note: note ? String(note) : "",
+      createdBy: createdBy || null,
+      createdAt: new Date().toISOString(),
+    };
+    schedule.push(entry);
+    schedule.sort((a, b) => new Date(a.at) - new Date(b.at));
+    return entry;
+  }
+
+  function removeScheduled(id) {
+    const before = schedule.length;
+    schedule = schedule.filter((e) => e.id !== id);
+    return schedule.length !== before;
+  }
+
+  // Earliest entry whose time has come and that `ready(entry)` accepts (entries stay queued until taken)
+  function dueScheduled(nowMs, ready = () => true) {
+    return schedule.find((e) => new Date(e.at).getTime() <= nowMs && ready(e)) || null;
+  }
+
+  // Mark a due entry as held up by `blockedBy`; true when that's news (first time or a new occupant)
+  function markDelayed(id, blockedBy, nowMs) {
+    const entry = schedule.find((e) => e.id === id);
+    if (!entry || entry.delayedBy === blockedBy) return false;
+    entry.delayedBy = blockedBy;
+    if (!entry.delayedSince) entry.delayedSince = new Date(nowMs).toISOString();
+    return true;
+  }
+
+  return {
+    weights,
+    pickTemplate,
+    recordSpawn,
+    addScheduled,
+    removeScheduled,
+    dueScheduled,
+    markDelayed,
+    upcoming: () => schedule.slice(),
+    history: () => history.slice(),
+    exportState: () => ({ history, schedule, rngState }),
+    restoreState(saved) {
+      if (!saved) return;
+      history = Array.isArray(saved.history) ? saved.history : [];
+      schedule = Array.isArray(saved.schedule) ? saved.schedule : [];
+      if (Number.isFinite(saved.rngState)) rngState = saved.rngState;
+    },
+  };
+}
+
+module.exports = {
+  createSpawnDirector,
+};
@@ -0,0 +1,150 @@
+// backend/worldThreatStorage.js
+// Pluggable persistence for the world threat state.
+// - "memory":  keeps the last snapshot in-process (state is lost on restart)
+// - "journal": append-only JSON-lines file. The first line (and the line written on
+//              compaction) holds the full state; every later save appends only the
+//              top-level sections whose JSON changed since the previous line. Load
+//              replays the lines in order. Writes are asynchronous and queued in order;
+//              each delta belongs to the full line before it and is dropped once a write
+//              of that chain fails (the next save starts a new chain). saveSync() writes
+//              a full line synchronously (shutdown) and cancels whatever is still queued.
+//              The file is compacted to a single full line once it grows past
+//              JOURNAL_COMPACT_AFTER.
+
+const fs = require("fs");
+const path = require("path");
+
+const STATE_VERSION = 1;
+const JOURNAL_COMPACT_AFTER = 200; // lines
+
+function createMemoryStorage() {
+  let last = null;
+  return {
+    driver: "memory",
+    load() {
+      return last ? JSON.parse(last) : null;
+    },
+    save(state) {
+      last = JSON.stringify(state);
+      return Promise.resolve();
+    },
+    saveSync(state) {
+      last = JSON.stringify(state);
+    },
+  };
+}
+
+function createJournalStorage(file) {
+  let lineCount = 0;
+  let seq = 0;
+  let written = {}; // section -> JSON as of the last line queued
+  let queue = Promise.resolve();
+  let chain = 0; // bumped by every full line; deltas are only valid on top of their own chain
+  let brokenChain = -1; // a write of this chain failed: its later deltas would sit on a gap
+  let firstLiveChain = 0; // queued writes of older chains were superseded by saveSync()
+
+  // Serialize each section once; returns the line and the sections it carries
+  function buildLine(state, full) {
+    const sections = {};
+    Object.keys(state).forEach((key) => {
+      const json = JSON.stringify(state[key] === undefined ? null : state[key]);
+      if (full || written[key] !== json) sections[key] = json;
+    });
+    const body = Object.entries(sections)
+      .map(([key, json]) => `${JSON.stringify(key)}:${json}`)
+      .join(",");
+    const head = `{"v":${STATE_VERSION},"seq":${++seq},"savedAt":"${new Date().toISOString()}"`;
+    return { line: `${head},"${full ? "state" : "sections"}":{${body}}}\n`, sections };
+  }
+
+  function remember(sections, full) {
+    written = full ? sections : { ...written, ...sections };
+  }
+
+  return {
+    driver: "journal",
+    file,
+    load() {
+      if (!fs.existsSync(file)) return null;
+      const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+      lineCount = lines.length;
+      let state = null;
+      let baseSeq = -1;
+      lines.forEach((raw) => {
+        let rec;
+        try {
+          rec = JSON.parse(raw);
+        } catch (_e) {
+          return; // a crash mid-append can leave a truncated last line
+        }
+        if (!rec || rec.v !== STATE_VERSION) return;
+        const recSeq = Number.isFinite(rec.seq) ? rec.seq : 0;
+        if (rec.state) {
+          state = rec.state;
+          baseSeq = recSeq;
+        } else if (rec.sections && state && recSeq > baseSeq) {
+          // A save queued before a shutdown's full line may land after it; it's older, skip it
+          Object.assign(state, rec.sections);
+        }
+        seq = Math.max(seq, recSeq);
+      });
+      // The next save starts a fresh chain from a full line
+      written = {};
+      lineCount = JOURNAL_COMPACT_AFTER;
+      return state;
+    },
+    save(state) {
+      const full = lineCount === 0 || lineCount >= JOURNAL_COMPACT_AFTER;
+      const { line, sections } = buildLine(state, full);
+      remember(sections, full);
+      lineCount = full ? 1 : lineCount + 1;
+      const own = full ? ++chain : chain;
+      const dropped = () => own === brokenChain || own < firstLiveChain;
+      queue = queue
+        .then(() => {
+          if (dropped()) return null;
+          return full ? fs.promises.writeFile(`${file}.tmp`, line) : fs.promises.appendFile(file, line);
+        })
+        .then(() => full && !dropped() && fs.promises.rename(`${file}.tmp`, file))
+        .catch((err) => {
+          brokenChain = own;
+          if (own === chain) {
+            written = {}; // unknown what reached the disk: next save starts a new chain
+            lineCount = JOURNAL_COMPACT_AFTER;
+          }
+          throw err;
+        });
+      const done = queue;
+      queue = queue.catch(() => {});
+      return done;
+    },
+    saveSync(state) {
+      const { line, sections } = buildLine(state, true);
+      firstLiveChain = ++chain;
+      const tmp = `${file}.sync.tmp`; // a queued full write may still be using ${file}.tmp
+      fs.writeFileSync(tmp, line);
+      fs.renameSync(tmp, file);
+      remember(sections, true);
+      lineCount = 1;
+    },
+  };
+}
+
+/**
+ * Build the storage adapter selected by `driver`
+ * ("memory" | "journal"). Unknown drivers throw so a typo in the
+ * environment doesn't silently fall back to volatile storage.
+ */
+function createStorage({ driver = "memory", file } = {}) {
+  if (driver === "memory") return createMemoryStorage();
+  if (driver === "journal") {
+    const target = file || path.join(__dirname, "data", "worldThreats.journal");
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    return createJournalStorage(target);
+  }
+  throw new Error(`Unknown world threat storage driver: ${driver}`);
+}
+
+module.exports = {
+  createStorage,
+};
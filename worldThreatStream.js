@@ -0,0 +1,100 @@
+// backend/worldThreatStream.js
+// Push channel for world threat updates (Server-Sent Events + WebSocket).
+// - Every published event gets an id of the form "<epoch>:<seq>"
+// - The last EVENT_BUFFER_SIZE events are kept so reconnecting clients can
+//   resume from their last id; ids from another process epoch (restart) or
+//   ids that already fell out of the buffer get a "resync" event instead.
+
+const { WebSocketServer } = require("ws");
+
+const EVENT_BUFFER_SIZE = 1000;
+const SSE_HEARTBEAT_MS = 15000;
+
+function createThreatStream({ getSnapshot }) {
+  const epoch = Date.now().toString(36);
+  let seq = 0;
+  let buffer = [];
+  const subscribers = new Set();
+
+  function publish(type, data) {
+    const evt = { id: `${epoch}:${++seq}`, type, at: new Date().toISOString(), data };
+    buffer.push(evt);
+    if (buffer.length > EVENT_BUFFER_SIZE) {
+      buffer = buffer.slice(buffer.length - EVENT_BUFFER_SIZE);
+    }
+    for (const fn of subscribers) {
+      try {
+        fn(evt);
+      } catch (err) {
+        console.error("World threat stream subscriber failed:", err);
+      }
+    }
+    return evt;
+  }
+
+  // Events a client missed since `lastEventId`, or null when it has to resync
+  function missedSince(lastEventId) {
+    if (!lastEventId) return null;
+    const [idEpoch, idSeq] = String(lastEventId).split(":");
+    const n = Number(idSeq);
+    if (idEpoch !== epoch || !Number.isInteger(n) || n > seq) return null;
+    if (n === seq) return [];
+    const oldest = buffer.length ? Number(buffer[0].id.split(":")[1]) : seq + 1;
+    if (n + 1 < oldest) return null;
+    return buffer.filter((e) => Number(e.id.split(":")[1]) > n);
+  }
+
+  function resyncEvent() {
+    return { id: `${epoch}:${seq}`, type: "resync", at: new Date().toISOString(), data: getSnapshot() };
+  }
+
+  function subscribe(fn, lastEventId) {
+    const missed = missedSince(lastEventId);
+    if (missed === null) fn(resyncEvent());
+    else missed.forEach(fn);
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  }
+
+  // Express handler for GET /world-threats/stream
+  function sseHandler(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    const unsubscribe = subscribe((evt) => {
+      res.write(`id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt.data)}\n\n`);
+    }, lastEventId);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  // WebSocket endpoint on the same HTTP server; resume with ?lastEventId=<id>
+  function attachWebSocket(server, wsPath) {
+    const wss = new WebSocketServer({ server, path: wsPath });
+    wss.on("connection", (socket, req) => {
+      const url = new URL(req.url, "http://localhost");
+      const unsubscribe = subscribe((evt) => {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(evt));
+      }, url.searchParams.get("lastEventId"));
+      socket.on("close", unsubscribe);
+      socket.on("error", unsubscribe);
+    });
+    return wss;
+  }
+
+  return { publish, sseHandler, attachWebSocket };
+}
+
+module.exports = {
+  createThreatStream,
+};
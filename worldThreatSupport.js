@@ -0,0 +1,259 @@
+// backend/worldThreatSupport.js
+// Mid-threat support actions, all checked against the server's live agent state.
+// - heal / calm: restore health / sanity on one assigned agent (capped at its max);
+//   limited charges per director per threat
+// - rest: pull one agent out of the bundle. It stops draining and contributing and
+//   recovers slowly (restRecoveryPerMinute) until swapped back in
+// - swap: bring one agent in (a resting one, or a new snapshot), optionally
+//   sending another to rest in the same move
+// - Every action has a per-director cooldown
+// - Agents pulled from a bundle (unassign, or left out of a re-assign) go to the
+//   resting list too, so they come back with their drained health/sanity, also when
+//   the director sends them to another threat (findResting/dropResting)
+// State lives on the instance: threat.support[playerId] = { directorName, charges,
+// cooldowns, resting }. It is archived with the threat like everything else.
+
+const SUPPORT_ACTIONS = ["heal", "calm", "rest", "swap"];
+const MAX_AGENTS_PER_BUNDLE = 3;
+
+function toNum(x, fallback = 0) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function createSupportActions(config) {
+  function entryFor(t, playerId, directorName) {
+    if (!t.support) t.support = {};
+    const pid = String(playerId);
+    if (!t.support[pid]) {
+      t.support[pid] = {
+        directorName: directorName || "",
+        charges: { ...config.charges },
+        cooldowns: {}, // action -> ISO time it can be used again
+        resting: [], // agent snapshots + restingSince
+      };
+    }
+    if (directorName) t.support[pid].directorName = directorName;
+    return t.support[pid];
+  }
+
+  // Live state of a resting agent after recovering for the time it sat out
+  function recovered(agent, nowMs) {
+    const minutes = Math.max(0, (nowMs - new Date(agent.restingSince).getTime()) / 60000);
+    const { restingSince, ...rest } = agent;
+    const regen = (stat, maxKey) =>
+      Math.min(toNum(agent[maxKey], agent[stat]), toNum(agent[stat], 0) + config.restRecoveryPerMinute[stat] * minutes);
+    return { ...rest, health: regen("health", "maxHealth"), sanity: regen("sanity", "maxSanity") };
+  }
+
+  // Submitted snapshot, but with the health/sanity/contribution the server tracks
+  function withLiveState(agent, live) {
+    return {
+      ...agent,
+      health: live.health,
+      sanity: live.sanity,
+      maxHealth: live.maxHealth,
+      maxSanity: live.maxSanity,
+      contribution: live.contribution,
+    };
+  }
+
+  function fail(status, error) {
+    return { status, error };
+  }
+
+  /**
+   * Run one action for `playerId` on threat `t`. params: { agentId, outAgentId, agent, carried }.
+   * Returns { ok: true, action, ...what changed, support } or { status, error }.
+   * `sanitize` turns a client snapshot into an agent (only used by swap); `carried`
+   * are the player's agents resting on other threats, which keep their live state.
+   */
+  function perform(t, playerId, action, params, nowMs, sanitize) {
+    if (!SUPPORT_ACTIONS.includes(action)) return fail(400, `action must be one of ${SUPPORT_ACTIONS.join(", ")}`);
+    const bundle = (t.assignedAgents || []).find((b) => b.playerId === String(playerId));
+    if (!bundle && !t.support?.[String(playerId)]?.resting?.length) {
+      return fail(403, "Player has no agents on this threat.");
+    }
+    const e = entryFor(t, playerId, bundle?.directorName);
+
+    const readyAt = e.cooldowns[action] ? new Date(e.cooldowns[action]).getTime() : 0;
+    if (readyAt > nowMs) {
+      return { ...fail(429, `${action} is on cooldown.`), retryAfterSeconds: Math.ceil((readyAt - nowMs) / 1000) };
+    }
+
+    const agents = bundle ? bundle.agents : [];
+    const find = (id) => agents.find((a) => a.agentId === String(id || ""));
+    let result;
+
+    if (action === "heal" || action === "calm") {
+      const stat = action === "heal" ? "health" : "sanity";
+      const maxKey = action === "heal" ? "maxHealth" : "maxSanity";
+      const agent = find(params.agentId);
+      if (!agent) return fail(404, "Agent is not active on this threat.");
+      if (toNum(e.charges[action], 0) <= 0) return fail(409, `No ${action} charges left.`);
+      const max = toNum(agent[maxKey], agent[stat]);
+      if (toNum(agent[stat], 0) >= max) return fail(409, `Agent's ${stat} is already full.`);
+      const before = toNum(agent[stat], 0);
+      agent[stat] = Math.min(max, before + config.amounts[action]);
+      e.charges[action] -= 1;
+      result = { agentId: agent.agentId, stat, before, after: agent[stat] };
+    } else if (action === "rest") {
+      const agent = find(params.agentId);
+      if (!agent) return fail(404, "Agent is not active on this threat.");
+      bundle.agents = agents.filter((a) => a !== agent);
+      e.resting.push({ ...agent, restingSince: new Date(nowMs).toISOString() });
+      result = { agentId: agent.agentId, resting: true };
+    } else {
+      // swap: incoming is a resting agent (by agentId) or a new snapshot; a snapshot of
+      // an agent that is resting still comes back with its live state
+      const out = params.outAgentId ? find(params.outAgentId) : null;
+      if (params.outAgentId && !out) return fail(404, "outAgentId is not active on this threat.");
+      const incomingId = String(params.agentId || params.agent?.agentId || "");
+      const restingIdx = e.resting.findIndex((a) => a.agentId === incomingId);
+      let incoming;
+      if (restingIdx >= 0) {
+        incoming = recovered(e.resting[restingIdx], nowMs);
+      } else if (params.agent && typeof params.agent === "object") {
+        incoming = sanitize(params.agent);
+        if (!incoming.agentId) return fail(400, "agent.agentId is required.");
+        const live = (params.carried || []).find((a) => a.agentId === incoming.agentId);
+        if (live) incoming = withLiveState(incoming, live);
+        if (find(incoming.agentId)) return fail(409, "Agent is already active on this threat.");
+      } else {
+        return fail(400, "Provide agentId of a resting agent or an agent snapshot.");
+      }
+      if (agents.length - (out ? 1 : 0) >= MAX_AGENTS_PER_BUNDLE) {
+        return fail(409, `A bundle holds at most ${MAX_AGENTS_PER_BUNDLE} agents; name an outAgentId to rest.`);
+      }
+
+      if (restingIdx >= 0) e.resting.splice(restingIdx, 1);
+      const kept = out ? agents.filter((a) => a !== out) : agents;
+      if (out) e.resting.push({ ...out, restingSince: new Date(nowMs).toISOString() });
+      if (bundle) {
+        bundle.agents = [...kept, incoming];
+      } else {
+        t.assignedAgents = [
+          ...(t.assignedAgents || []),
+          { playerId: String(playerId), directorName: e.directorName, agents: [incoming] },
+        ];
+      }
+      result = { agentId: incoming.agentId, outAgentId: out ? out.agentId : null };
+    }
+
+    e.cooldowns[action] = new Date(nowMs + config.cooldownSeconds[action] * 1000).toISOString();
+    return { ok: true, action, ...result, support: describe(t, playerId, nowMs) };
+  }
+
+  /**
+   * `incoming` snapshots with the live health/sanity/contribution of agents the server
+   * already tracks (active or resting here, or `carried` over from another threat).
+   * Changes nothing.
+   */
+  function withTrackedState(t, playerId, incoming, nowMs, carried = []) {
+    const pid = String(playerId);
+    const prev = (t.assignedAgents || []).find((b) => b.playerId === pid);
+    const known = new Map();
+    carried.forEach((a) => known.set(a.agentId, a));
+    (t.support?.[pid]?.resting || []).forEach((a) => known.set(a.agentId, recovered(a, nowMs)));
+    (prev?.agents || []).forEach((a) => known.set(a.agentId, a));
+    return incoming.map((a) => {
+      const live = known.get(a.agentId);
+      return live ? withLiveState(a, live) : a;
+    });
+  }
+
+  /**
+   * Bundle for a (re-)assign: agents the server already tracks keep their live state
+   * (see withTrackedState). Agents of the old bundle that aren't in the new one are sent to rest.
+   */
+  function mergeAssignment(t, playerId, incoming, nowMs, carried = []) {
+    const pid = String(playerId);
+    const prev = (t.assignedAgents || []).find((b) => b.playerId === pid);
+    const e = t.support?.[pid];
+    const merged = withTrackedState(t, pid, incoming, nowMs, carried);
+    const ids = new Set(merged.map((a) => a.agentId));
+    const dropped = (prev?.agents || []).filter((a) => !ids.has(a.agentId));
+    if (e || dropped.length) {
+      const entry = entryFor(t, pid, prev?.directorName);
+      entry.resting = entry.resting.filter((a) => !ids.has(a.agentId));
+      dropped.forEach((a) => entry.resting.push({ ...a, restingSince: new Date(nowMs).toISOString() }));
+    }
+    return merged;
+  }
+
+  /** Unassign: the whole bundle leaves the threat and its agents go to rest */
+  function pullBundle(t, playerId, nowMs) {
+    const pid = String(playerId);
+    const bundle = (t.assignedAgents || []).find((b) => b.playerId === pid);
+    if (!bundle) return [];
+    const entry = entryFor(t, pid, bundle.directorName);
+    bundle.agents.forEach((a) => entry.resting.push({ ...a, restingSince: new Date(nowMs).toISOString() }));
+    t.assignedAgents = t.assignedAgents.filter((b) => b !== bundle);
+    return bundle.agents.map((a) => a.agentId);
+  }
+
+  /** The player's resting agents on `t` with these ids, recovered up to `nowMs` (left in place) */
+  function findResting(t, playerId, agentIds, nowMs) {
+    const ids = new Set(agentIds);
+    const resting = t.support?.[String(playerId)]?.resting || [];
+    return resting.filter((a) => ids.has(a.agentId)).map((a) => recovered(a, nowMs));
+  }
+
+  /** Take resting agents off `t` once they have moved to another threat */
+  function dropResting(t, playerId, agentIds) {
+    const e = t.support?.[String(playerId)];
+    if (!e) return;
+    const ids = new Set(agentIds);
+    e.resting = e.resting.filter((a) => !ids.has(a.agentId));
+  }
+
+  /** Charges, cooldowns and resting agents for one director */
+  function describe(t, playerId, nowMs) {
+    const e = t.support?.[String(playerId)];
+    const charges = e ? e.charges : { ...config.charges };
+    const cooldowns = {};
+    SUPPORT_ACTIONS.forEach((a) => {
+      const until = e?.cooldowns?.[a] ? new Date(e.cooldowns[a]).getTime() : 0;
+      cooldowns[a] = Math.max(0, Math.ceil((until - nowMs) / 1000));
+    });
+    return {
+      charges,
+      cooldownSeconds: cooldowns,
+      resting: (e?.resting || []).map((a) => ({ ...recovered(a, nowMs), restingSince: a.restingSince })),
+    };
+  }
+
+  /**
+   * Move every support timer on `t` forward by `ms` (the length of an admin pause):
+   * action cooldowns, resting timers and the expiries of resting agents' modifiers
+   */
+  function shift(t, ms) {
+    const later = (iso) => new Date(new Date(iso).getTime() + ms).toISOString();
+    Object.values(t.support || {}).forEach((e) => {
+      Object.keys(e.cooldowns || {}).forEach((action) => {
+        e.cooldowns[action] = later(e.cooldowns[action]);
+      });
+      e.resting = (e.resting || []).map((a) => ({
+        ...a,
+        restingSince: later(a.restingSince),
+        statModifiers: (a.statModifiers || []).map((m) => (m.expiresAt ? { ...m, expiresAt: later(m.expiresAt) } : m)),
+      }));
+    });
+  }
+
+  return {
+    perform,
+    withTrackedState,
+    mergeAssignment,
+    pullBundle,
+    findResting,
+    dropResting,
+    describe,
+    shift,
+  };
+}
+
+module.exports = {
+  SUPPORT_ACTIONS,
+  createSupportActions,
+};
@@ -0,0 +1,352 @@
+// backend/worldThreatTemplates.js
+// Threat template registry backed by a directory of data files.
+// - *.json, *.yaml and *.yml files; each holds one template or an array of them
+// - Every template is validated against TEMPLATE_SCHEMA; errors name the file,
+//   the field and, for near-misses like "Ocultism", the value that was meant
+// - reload() swaps the registry only when the whole directory validates, so a
+//   bad edit never takes down the templates that are already live. Running
+//   threats are unaffected either way: instances copy what they need on spawn.
+//
+// Template fields:
+//  - id MUST match the frontend WORLD_THREATS_LIBRARY id
+//  - difficulty: higher = slower progress for the same agents
+//  - lifetimeMinutes: how long before it expires if not cleared
+//  - spawnWeight (optional, default 1): relative odds in the spawn rotation;
+//    0 keeps the template out of the rotation (scheduled events only)
+//  - phases (optional): ordered by atProgress (percent). Once progress reaches a
+//    phase's atProgress it takes over; any of primaryStat, skills, difficulty,
+//    healthDrainMultiplier, sanityDrainMultiplier it sets override the template.
+//    name/narrative are shown to players.
+//  - incidents / incidentsPerHour (optional): incident table and average rate;
+//    default to DEFAULT_INCIDENT_TABLE / DEFAULT_INCIDENTS_PER_HOUR (0 disables)
+//  - statModifiers (optional): threat-scoped flat/percent stat changes applied to every
+//    assigned agent, e.g. { id: fog, stat: Investigation, type: percent, value: -20 };
+//    durationMinutes limits one to the first N minutes after spawn
+//  - weaknesses / resistances (optional): { Skill: multiplier } on top of the theme's
+//    defaults (THEME_AFFINITIES); weaknesses are above 1, resistances from 0 to 1
+//  - scaling (optional): { mode: bundles | power } plus any DURABILITY_SCALING key to
+//    override; the threat gets tougher or softer with the number of participants
+//  - objective (optional, default { type: progress }): holdout { minAgents },
+//    escort { stat: health | sanity, threshold } or race { target, winners };
+//    see worldThreatObjectives.js
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const STATS = ["Courage", "Investigation", "Occultism"];
+const ZONES = ["Africa", "Asia", "Europe", "North America", "Oceania", "South America"];
+const THEMES = ["FOLKLORE", "JUNJI_ITO", "LOVECRAFTIAN", "RESIDENT_EVIL"];
+const SKILLS = [
+  "Biology",
+  "Engineering",
+  "Exorcism",
+  "Firearms",
+  "Geology",
+  "Linguistics",
+  "Psychology",
+  "Research",
+  "Stealth",
+  "Theology",
+];
+
+// ----------------- Field checks -----------------
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+function didYouMean(value, allowed) {
+  const v = String(value).toLowerCase();
+  let best = null;
+  let bestDist = Infinity;
+  for (const opt of allowed) {
+    const d = levenshtein(v, String(opt).toLowerCase());
+    if (d < bestDist) {
+      best = opt;
+      bestDist = d;
+    }
+  }
+  return bestDist <= Math.max(2, Math.floor(String(value).length / 4)) ? ` (did you mean "${best}"?)` : "";
+}
+
+const isStr = (v) => typeof v === "string" && v.trim().length > 0;
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function oneOf(allowed) {
+  return (v) => (allowed.includes(v) ? null : `"${v}" is not one of ${allowed.join(", ")}${didYouMean(v, allowed)}`);
+}
+
+function numberIn(min, max, { integer = false } = {}) {
+  return (v) => {
+    if (!isNum(v)) return `must be a number, got ${JSON.stringify(v)}`;
+    if (integer && !Number.isInteger(v)) return `must be a whole number, got ${v}`;
+    if (v < min || v > max) return `must be between ${min} and ${max}, got ${v}`;
+    return null;
+  };
+}
+
+function string(v) {
+  return isStr(v) ? null : `must be a non-empty string, got ${JSON.stringify(v)}`;
+}
+
+function skillList(v) {
+  if (!Array.isArray(v)) return `must be a list of skills, got ${JSON.stringify(v)}`;
+  const bad = v.map((s) => (SKILLS.includes(s) ? null : `"${s}"${didYouMean(s, SKILLS)}`)).filter(Boolean);
+  return bad.length ? `unknown skill ${bad.join(", ")}; known skills: ${SKILLS.join(", ")}` : null;
+}
+
+// Each schema maps field -> { check, required }; unknown keys are rejected
+function validateObject(obj, schema, where, errors) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  const keys = Object.keys(schema);
+  for (const k of Object.keys(obj)) {
+    if (!schema[k]) errors.push(`${where}: unknown field "${k}"${didYouMean(k, keys)}`);
+  }
+  for (const [k, rule] of Object.entries(schema)) {
+    if (obj[k] === undefined) {
+      if (rule.required) errors.push(`${where}: missing required field "${k}"`);
+      continue;
+    }
+    const msg = rule.check(obj[k], obj, `${where}.${k}`, errors);
+    if (msg) errors.push(`${where}: ${k} ${msg}`);
+  }
+}
+
+const EFFECT_SCHEMA = {
+  type: { required: true, check: oneOf(["agents", "progress"]) },
+  stat: { check: oneOf(["health", "sanity"]) },
+  delta: { required: true, check: numberIn(-100, 100) },
+  target: { check: oneOf(["all", "random"]) },
+};
+
+const INCIDENT_SCHEMA = {
+  id: { required: true, check: string },
+  name: { required: true, check: string },
+  description: { check: string },
+  weight: { required: true, check: numberIn(0, 1000) },
+  cooldownSeconds: { check: numberIn(0, 24 * 3600) },
+  effect: {
+    required: true,
+    check: (v, _obj, where, errors) => {
+      validateObject(v, EFFECT_SCHEMA, where, errors);
+      if (v && v.type === "agents" && !v.stat) errors.push(`${where}: "agents" effects need a stat`);
+      return null;
+    },
+  },
+};
+
+function skillMultipliers(min, max) {
+  const inRange = numberIn(min, max);
+  return (v) => {
+    if (!v || typeof v !== "object" || Array.isArray(v)) return `must map skills to multipliers, got ${JSON.stringify(v)}`;
+    const bad = Object.entries(v)
+      .map(([skill, mult]) => {
+        if (!SKILLS.includes(skill)) return `unknown skill "${skill}"${didYouMean(skill, SKILLS)}`;
+        const msg = inRange(mult);
+        return msg ? `${skill} ${msg}` : null;
+      })
+      .filter(Boolean);
+    return bad.length ? bad.join("; ") : null;
+  };
+}
+
+const OBJECTIVE_FIELDS = {
+  progress: [],
+  holdout: ["minAgents"],
+  escort: ["stat", "threshold"],
+  race: ["target", "winners"],
+};
+
+const OBJECTIVE_SCHEMA = {
+  type: { required: true, check: oneOf(Object.keys(OBJECTIVE_FIELDS)) },
+  minAgents: { check: numberIn(1, 10000, { integer: true }) },
+  stat: { check: oneOf(["health", "sanity"]) },
+  threshold: { check: numberIn(0, 99) },
+  target: { check: numberIn(1, 1e9) },
+  winners: { check: numberIn(1, 1000, { integer: true }) },
+};
+
+const SCALING_SCHEMA = {
+  mode: { required: true, check: oneOf(["bundles", "power"]) },
+  referenceBundles: { check: numberIn(1, 10000) },
+  referencePower: { check: numberIn(1, 1e7) },
+  exponent: { check: numberIn(0, 2) },
+  min: { check: numberIn(0.05, 1) },
+  max: { check: numberIn(1, 100) },
+  deadband: { check: numberIn(0, 1) },
+  decayPerMinute: { check: numberIn(0, 100) },
+};
+
+const MODIFIER_SCHEMA = {
+  id: { required: true, check: string },
+  stat: { required: true, check: oneOf(STATS) },
+  type: { check: oneOf(["flat", "percent"]) },
+  value: { required: true, check: numberIn(-100, 1000) },
+  durationMinutes: { check: numberIn(1, 7 * 24 * 60) },
+  description: { check: string },
+};
+
+const PHASE_SCHEMA = {
+  id: { required: true, check: string },
+  name: { required: true, check: string },
+  atProgress: { required: true, check: numberIn(0, 99.999) },
+  primaryStat: { check: oneOf(STATS) },
+  skills: { check: skillList },
+  difficulty: { check: numberIn(1, 10, { integer: true }) },
+  healthDrainMultiplier: { check: numberIn(0, 10) },
+  sanityDrainMultiplier: { check: numberIn(0, 10) },
+  narrative: { check: string },
+};
+
+function listOf(schema, label) {
+  return (v, _obj, where, errors) => {
+    if (!Array.isArray(v)) return `must be a list of ${label}`;
+    v.forEach((item, i) => validateObject(item, schema, `${where}[${i}]`, errors));
+    const ids = v.map((item) => item && item.id);
+    const dup = ids.find((id, i) => id && ids.indexOf(id) !== i);
+    return dup ? `has duplicate id "${dup}"` : null;
+  };
+}
+
+const TEMPLATE_SCHEMA = {
+  id: {
+    required: true,
+    check: (v) => (typeof v === "string" && /^wt_[a-z0-9_]+$/.test(v) ? null : `must look like "wt_some_name", got ${JSON.stringify(v)}`),
+  },
+  name: { required: true, check: string },
+  description: { required: true, check: string },
+  zone: { required: true, check: oneOf(ZONES) },
+  theme: { required: true, check: oneOf(THEMES) },
+  primaryStat: { required: true, check: oneOf(STATS) },
+  skills: { required: true, check: skillList },
+  difficulty: { required: true, check: numberIn(1, 10, { integer: true }) },
+  lifetimeMinutes: { check: numberIn(5, 7 * 24 * 60) },
+  spawnWeight: { check: numberIn(0, 1000) },
+  phases: { check: listOf(PHASE_SCHEMA, "phases") },
+  incidents: { check: listOf(INCIDENT_SCHEMA, "incidents") },
+  incidentsPerHour: { check: numberIn(0, 3600) },
+  statModifiers: { check: listOf(MODIFIER_SCHEMA, "stat modifiers") },
+  weaknesses: { check: skillMultipliers(1, 10) },
+  resistances: { check: skillMultipliers(0, 1) },
+  scaling: {
+    check: (v, _obj, where, errors) => {
+      validateObject(v, SCALING_SCHEMA, where, errors);
+      return null;
+    },
+  },
+  objective: {
+    check: (v, _obj, where, errors) => {
+      validateObject(v, OBJECTIVE_SCHEMA, where, errors);
+      const fields = OBJECTIVE_FIELDS[v?.type];
+      if (!fields) return null;
+      fields.filter((f) => v[f] === undefined).forEach((f) => errors.push(`${where}: ${v.type} objectives need ${f}`));
+      Object.keys(OBJECTIVE_SCHEMA)
+        .filter((f) => f !== "type" && v[f] !== undefined && !fields.includes(f))
+        .forEach((f) => errors.push(`${where}: ${f} doesn't apply to ${v.type} objectives`));
+      return null;
+    },
+  },
+};
+
+/** Validation errors for one template (empty when valid) */
+function validateTemplate(tmpl, where = "template") {
+  const errors = [];
+  validateObject(tmpl, TEMPLATE_SCHEMA, where, errors);
+  return errors;
+}
+
+// ----------------- Loading -----------------
+function readTemplateFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const data = path.extname(file) === ".json" ? JSON.parse(raw) : YAML.parse(raw);
+  return Array.isArray(data) ? data : [data];
+}
+
+/** Load and validate every template file in `dir` */
+function loadTemplateDir(dir) {
+  const errors = [];
+  const templates = [];
+  const seen = new Map(); // id -> file
+
+  let files = [];
+  try {
+    files = fs
+      .readdirSync(dir)
+      .filter((f) => [".json", ".yaml", ".yml"].includes(path.extname(f)))
+      .sort();
+  } catch (err) {
+    return { templates, errors: [`${dir}: ${err.message}`] };
+  }
+
+  for (const f of files) {
+    let entries;
+    try {
+      entries = readTemplateFile(path.join(dir, f));
+    } catch (err) {
+      errors.push(`${f}: could not parse (${err.message})`);
+      continue;
+    }
+    entries.forEach((tmpl, i) => {
+      const where = entries.length > 1 ? `${f}[${i}]` : f;
+      const errs = validateTemplate(tmpl, where);
+      if (errs.length) {
+        errors.push(...errs);
+        return;
+      }
+      if (seen.has(tmpl.id)) {
+        errors.push(`${where}: id "${tmpl.id}" is already defined in ${seen.get(tmpl.id)}`);
+        return;
+      }
+      seen.set(tmpl.id, where);
+      templates.push(Object.freeze({ ...tmpl, sourceFile: f }));
+    });
+  }
+
+  if (!templates.length && !errors.length) errors.push(`${dir}: no threat templates found`);
+  return { templates, errors };
+}
+
+function createTemplateRegistry(dir) {
+  let templates = [];
+  let loadedAt = null;
+
+  return {
+    dir,
+    /** Re-read the directory; the current templates stay in place if anything is invalid */
+    reload() {
+      const result = loadTemplateDir(dir);
+      if (result.errors.length) return { ok: false, errors: result.errors };
+      templates = result.templates;
+      loadedAt = new Date().toISOString();
+      return { ok: true, count: templates.length, loadedAt };
+    },
+    all: () => templates,
+    get: (id) => templates.find((t) => t.id === id) || null,
+    get loadedAt() {
+      return loadedAt;
+    },
+  };
+}
+
+module.exports = {
+  STATS,
+  ZONES,
+  THEMES,
+  SKILLS,
+  validateTemplate,
+  loadTemplateDir,
+  createTemplateRegistry,
+};
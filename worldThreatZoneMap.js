@@ -0,0 +1,113 @@
+// backend/worldThreatZoneMap.js
+// Persistent per-zone corruption (0..max) so failures carry over.
+// - An expired threat raises its zone's corruption and spills a share of the rise
+//   into neighbouring zones; a clear lowers it (its own zone only)
+// - Corruption slowly decays over time (decayPerHour), applied lazily when read
+// - Effects on the next threats in a zone: spawn weight, difficulty bonus at
+//   spawn and a drain multiplier (see ZONE_CORRUPTION in worldThreatConfig.js)
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function createZoneMap({ config, zones }) {
+  let levels = Object.fromEntries(zones.map((z) => [z, 0]));
+  let lastEvents = {}; // zone -> { instanceId, outcome, delta, at }
+  let decayedToMs = Date.now();
+
+  // Bring every zone's level up to date with the passive decay
+  function decayTo(nowMs) {
+    const hours = (nowMs - decayedToMs) / 3600000;
+    if (hours <= 0) return;
+    decayedToMs = nowMs;
+    const amount = (config.decayPerHour || 0) * hours;
+    if (amount <= 0) return;
+    for (const z of Object.keys(levels)) levels[z] = Math.max(0, levels[z] - amount);
+  }
+
+  function level(zone, nowMs = Date.now()) {
+    decayTo(nowMs);
+    return levels[zone] || 0;
+  }
+
+  function tierOf(value) {
+    let tier = config.tiers[0].name;
+    config.tiers.forEach((t) => {
+      if (value >= t.from) tier = t.name;
+    });
+    return tier;
+  }
+
+  /** Spawn weight, difficulty and drain adjustments for a zone at its current level */
+  function effects(zone, nowMs = Date.now()) {
+    const value = level(zone, nowMs);
+    const frac = value / config.max;
+    const bonus = config.difficultyBonus.filter((b) => value >= b.from).pop();
+    return {
+      spawnWeightMultiplier: 1 + frac * config.spawnWeightBoost,
+      difficultyBonus: bonus ? bonus.bonus : 0,
+      drainMultiplier: 1 + frac * config.drainBoost,
+    };
+  }
+
+  function adjust(zone, delta, event) {
+    if (!(zone in levels)) return null;
+    const before = levels[zone];
+    levels[zone] = clamp(before + delta, 0, config.max);
+    const r2 = (n) => Math.round(n * 100) / 100;
+    const change = { zone, from: r2(before), to: r2(levels[zone]), delta: r2(levels[zone] - before) };
+    if (change.delta !== 0) lastEvents[zone] = { ...event, delta: change.delta };
+    return change;
+  }
+
+  /**
+   * Fold a finished threat into the map. Returns the per-zone changes
+   * (the threat's own zone first, then any spillover).
+   */
+  function recordOutcome(threat, nowMs) {
+    decayTo(nowMs);
+    const event = { instanceId: threat.instanceId, outcome: threat.status, at: new Date(nowMs).toISOString() };
+    const changes = [];
+    if (threat.status === "expired") {
+      changes.push(adjust(threat.zone, config.riseOnExpire, event));
+      (config.neighbors[threat.zone] || []).forEach((n) =>
+        changes.push(adjust(n, config.riseOnExpire * config.spillover, { ...event, spilloverFrom: threat.zone }))
+      );
+    } else if (threat.status === "cleared") {
+      changes.push(adjust(threat.zone, -config.fallOnClear, event));
+    }
+    return changes.filter((c) => c && c.delta !== 0);
+  }
+
+  function snapshot(nowMs = Date.now()) {
+    decayTo(nowMs);
+    return Object.keys(levels).map((zone) => ({
+      zone,
+      corruption: levels[zone],
+      tier: tierOf(levels[zone]),
+      effects: effects(zone, nowMs),
+      neighbors: config.neighbors[zone] || [],
+      lastEvent: lastEvents[zone] || null,
+    }));
+  }
+
+  return {
+    level,
+    effects,
+    recordOutcome,
+    snapshot,
+    exportState: () => ({ levels, lastEvents, decayedToMs }),
+    restoreState(saved) {
+      if (!saved) return;
+      Object.entries(saved.levels || {}).forEach(([z, v]) => {
+        if (z in levels && Number.isFinite(Number(v))) levels[z] = clamp(Number(v), 0, config.max);
+      });
+      lastEvents = saved.lastEvents && typeof saved.lastEvents === "object" ? saved.lastEvents : {};
+      if (Number.isFinite(saved.decayedToMs)) decayedToMs = saved.decayedToMs;
+    },
+  };
+}
+
+module.exports = {
+  createZoneMap,
+};